@@ -11,8 +11,13 @@ const PORT = process.env.PORT || 3000;
 app.use(helmet());
 app.use(cors());
 app.use(morgan('dev'));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body for webhook signature verification - GitHub and Gitea
+// can send JSON or a form with a payload field
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Basic test route
 app.get('/', (req, res) => {
@@ -30,12 +35,18 @@ app.get('/health', (req, res) => {
 
 // Database sync
 const { syncDatabase } = require('./models');
-syncDatabase();
+syncDatabase().then(() => require('./services/deploymentQueue').recover());
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/servers', require('./routes/servers'));
 app.use('/api/projects', require('./routes/projects'));
+app.use('/api/deployments', require('./routes/deployments'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/queue', require('./routes/queue'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/tokens', require('./routes/tokens'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -58,6 +69,10 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Background monitors
+  require('./services/serverMonitor').start();
+  require('./services/uptimeMonitor').start();
 });
 
 module.exports = app;
\ No newline at end of file
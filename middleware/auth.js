@@ -1,7 +1,41 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, ApiToken } = require('../models');
+const apiTokenService = require('../services/apiTokenService');
+const sessionService = require('../services/sessionService');
 
-const authMiddleware = async (req, res, next) => {
+// Skip most last-used writes for tokens polled in a loop
+const LAST_USED_PRECISION = 60 * 1000;
+
+// Resolve an API token to its user, enforcing expiry and scopes.
+// Returns { user, apiToken } or { status, message } when refused.
+const authenticateApiToken = async (req, token) => {
+  const apiToken = await ApiToken.findOne({
+    where: { token_hash: apiTokenService.hash(token) },
+    include: [{ model: User, as: 'user' }]
+  });
+
+  if (!apiToken || !apiToken.user) {
+    return { status: 401, message: 'Invalid token' };
+  }
+
+  if (apiToken.expires_at && apiToken.expires_at < new Date()) {
+    return { status: 401, message: 'Token expired' };
+  }
+
+  if (!apiTokenService.allows(apiToken.scopes, req.method, req.baseUrl + req.path)) {
+    return { status: 403, message: 'Token scope does not allow this request' };
+  }
+
+  if (!apiToken.last_used_at || Date.now() - apiToken.last_used_at >= LAST_USED_PRECISION) {
+    await apiToken.update({ last_used_at: new Date() });
+  }
+
+  return { user: apiToken.user, apiToken };
+};
+
+// allowPasswordChange lets users who must change their password reach the
+// routes that do it; everything else is refused until they have.
+const authenticate = ({ allowPasswordChange = false } = {}) => async (req, res, next) => {
   try {
     // Get token from header
     const token = req.headers.authorization?.split(' ')[1]; // Bearer TOKEN
@@ -13,11 +47,40 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const user = await User.findByPk(decoded.id);
+    let user;
+    let apiToken = null;
+    let sessionId = null;
+
+    if (apiTokenService.isApiToken(token)) {
+      const result = await authenticateApiToken(req, token);
+      if (!result.user) {
+        return res.status(result.status).json({
+          error: true,
+          message: result.message
+        });
+      }
+      ({ user, apiToken } = result);
+    } else {
+      // Verify token
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      
+      // Get user from database
+      user = await User.findByPk(decoded.id);
+
+      // Reject tokens from ended sessions, or issued before a password change or "log out all"
+      const revoked = user && (
+        !decoded.sid ||
+        sessionService.isIssuedBeforeRevocation(user, decoded.iat) ||
+        !await sessionService.isSessionActive(decoded.sid)
+      );
+      if (revoked) {
+        return res.status(401).json({
+          error: true,
+          message: 'Token has been revoked'
+        });
+      }
+      sessionId = decoded.sid;
+    }
     
     if (!user) {
       return res.status(401).json({
@@ -26,10 +89,22 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    if (user.must_change_password && !allowPasswordChange) {
+      return res.status(403).json({
+        error: true,
+        code: 'PASSWORD_CHANGE_REQUIRED',
+        message: 'Password change required'
+      });
+    }
+
     // Attach user to request
     req.user = {
       id: user.id,
-      username: user.username
+      username: user.username,
+      role: user.role,
+      must_change_password: user.must_change_password,
+      session_id: sessionId,
+      api_token_id: apiToken ? apiToken.id : null
     };
     
     next();
@@ -41,4 +116,7 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+const authMiddleware = authenticate();
+authMiddleware.allowPasswordChange = authenticate({ allowPasswordChange: true });
+
 module.exports = authMiddleware;
\ No newline at end of file
@@ -0,0 +1,13 @@
+// Restrict a route to the given roles. Must run after authMiddleware.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: true,
+      message: 'Insufficient permissions'
+    });
+  }
+
+  next();
+};
+
+module.exports = { requireRole };
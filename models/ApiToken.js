@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./User');
+
+const ApiToken = sequelize.define('ApiToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 100]
+    }
+  },
+  token_prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    comment: 'Leading characters of the token, to tell tokens apart'
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the token; the token itself is never stored'
+  },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'api_tokens',
+  timestamps: true,
+  defaultScope: {
+    attributes: { exclude: ['token_hash'] }
+  }
+});
+
+// Define relationship
+ApiToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(ApiToken, { foreignKey: 'user_id', as: 'apiTokens', onDelete: 'CASCADE' });
+
+module.exports = ApiToken;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./User');
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  username: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Actor at the time of the action, or the name tried on a failed login'
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'e.g. server.update, project.deploy, auth.login_failed'
+  },
+  entity_type: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  entity_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Changed fields as { field: { from, to } } with secrets redacted'
+  },
+  details: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['createdAt'] },
+    { fields: ['entity_type', 'entity_id'] },
+    { fields: ['user_id'] }
+  ]
+});
+
+// Define relationship
+AuditLog.belongsTo(User, { foreignKey: 'user_id', as: 'user', onDelete: 'SET NULL' });
+
+module.exports = AuditLog;
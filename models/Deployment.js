@@ -0,0 +1,126 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Project = require('./Project');
+const Server = require('./Server');
+const User = require('./User');
+const ProjectArtifact = require('./ProjectArtifact');
+
+const Deployment = sequelize.define('Deployment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  project_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'projects',
+      key: 'id'
+    }
+  },
+  server_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'servers',
+      key: 'id'
+    }
+  },
+  triggered_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('deploy', 'rollback'),
+    allowNull: false,
+    defaultValue: 'deploy'
+  },
+  trigger: {
+    type: DataTypes.ENUM('manual', 'webhook'),
+    allowNull: false,
+    defaultValue: 'manual'
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'success', 'failed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  ref: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Requested branch, tag or SHA; null means the project default'
+  },
+  artifact_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'project_artifacts',
+      key: 'id'
+    },
+    comment: 'Uploaded artifact version deployed, for upload projects'
+  },
+  backup_file: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Backup archive restored by a rollback'
+  },
+  revision: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Git commit SHA, uploaded file name or restored backup'
+  },
+  commit_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  release: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Release directory under releases/ - also the target of a release rollback'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Duration in milliseconds'
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  failed_step: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'The command that failed the deployment: step, command, cwd, code, stderr, timed_out'
+  },
+  steps: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Ordered step results: step, command, code, stdout, stderr'
+  }
+}, {
+  tableName: 'deployments',
+  timestamps: true
+});
+
+// Define relationship
+Deployment.belongsTo(Project, { foreignKey: 'project_id', as: 'project' });
+Project.hasMany(Deployment, { foreignKey: 'project_id', as: 'deployments', onDelete: 'CASCADE' });
+Deployment.belongsTo(Server, { foreignKey: 'server_id', as: 'server' });
+Deployment.belongsTo(User, { foreignKey: 'triggered_by', as: 'user', onDelete: 'SET NULL' });
+Deployment.belongsTo(ProjectArtifact, { foreignKey: 'artifact_id', as: 'artifact', onDelete: 'SET NULL' });
+
+module.exports = Deployment;
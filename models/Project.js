@@ -1,6 +1,64 @@
+const path = require('path');
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
 const Server = require('./Server');
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+
+const SECRET_FIELDS = ['webhook_secret', 'deploy_key_private', 'git_access_token'];
+
+// Names end up in remote paths, pm2 process names and web server config files
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Directories a project may never be deployed to
+const PROTECTED_PATHS = ['/', '/bin', '/boot', '/dev', '/etc', '/home', '/lib', '/lib64', '/opt', '/proc', '/root', '/run',
+  '/sbin', '/srv', '/sys', '/tmp', '/usr', '/usr/local', '/var', '/var/backups', '/var/lib', '/var/log'];
+// ...or anywhere below
+const PROTECTED_TREES = ['/bin', '/boot', '/dev', '/etc', '/lib', '/lib64', '/proc', '/run', '/sbin', '/sys',
+  '/usr/bin', '/usr/lib', '/usr/sbin', '/var/backups', '/var/lib', '/var/log'];
+
+const getNameError = (value) => {
+  if (typeof value !== 'string' || value.length < 3 || value.length > 100 || !NAME_PATTERN.test(value)) {
+    return 'Project name must be 3-100 characters: letters, digits, "-" and "_", starting with a letter or digit';
+  }
+  return null;
+};
+
+// Reason a deploy path is refused, or null if it is safe to deploy into
+const getDeployPathError = (value) => {
+  if (typeof value !== 'string' || !value.startsWith('/')) {
+    return 'Deploy path must be an absolute path';
+  }
+  if (!/^[A-Za-z0-9._/-]+$/.test(value)) {
+    return 'Deploy path may only contain letters, digits, ".", "_", "-" and "/"';
+  }
+  if (value.split('/').some(segment => segment === '.' || segment === '..')) {
+    return 'Deploy path must not contain "." or ".." segments';
+  }
+
+  const normalized = path.posix.normalize(value).replace(/(.)\/+$/, '$1');
+  if (PROTECTED_PATHS.includes(normalized) || PROTECTED_TREES.some(tree => normalized.startsWith(`${tree}/`))) {
+    return `Deploying to ${normalized} is not allowed`;
+  }
+  return null;
+};
+
+// Sequelize validator from a function returning an error message
+const validateWith = (getError) => (value) => {
+  const error = getError(value);
+  if (error) {
+    throw new Error(error);
+  }
+};
+
+// Encrypt newly assigned secrets
+const encryptSecrets = (project) => {
+  SECRET_FIELDS.filter(field => project.changed(field)).forEach(field => {
+    const value = project.getDataValue(field);
+    if (value && !isEncrypted(value)) {
+      project.setDataValue(field, encrypt(value));
+    }
+  });
+};
 
 const Project = sequelize.define('Project', {
   id: {
@@ -12,7 +70,7 @@ const Project = sequelize.define('Project', {
     type: DataTypes.STRING,
     allowNull: false,
     validate: {
-      len: [3, 100]
+      isSafeName: validateWith(getNameError)
     }
   },
   project_type: {
@@ -28,6 +86,24 @@ const Project = sequelize.define('Project', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  branch: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Default Git ref to deploy; null means the repository default branch',
+    validate: {
+      is: /^[A-Za-z0-9._/-]+$/
+    }
+  },
+  artifact_retention: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5,
+    comment: 'Uploaded artifact versions kept in uploads/; older files are removed',
+    validate: {
+      min: 1,
+      max: 100
+    }
+  },
   source_path: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -35,29 +111,155 @@ const Project = sequelize.define('Project', {
   deploy_path: {
     type: DataTypes.STRING,
     allowNull: false,
-    defaultValue: '/var/www/html'
+    defaultValue: '/var/www/html',
+    validate: {
+      isSafePath: validateWith(getDeployPathError)
+    }
   },
   domain: {
     type: DataTypes.STRING,
     allowNull: true
   },
+  web_server: {
+    type: DataTypes.ENUM('auto', 'nginx', 'apache', 'none'),
+    allowNull: false,
+    // none for rows that predate virtual hosts, which may have a hand-written
+    // config for their domain; the create routes default new projects to auto
+    defaultValue: 'none',
+    comment: 'Web server to write a virtual host for when a domain is set; auto uses whichever is installed'
+  },
+  document_root: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Directory inside the release served as the web root, e.g. public or dist',
+    validate: {
+      is: /^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/,
+      notParent(value) {
+        if (value && value.split('/').includes('..')) {
+          throw new Error('Document root must stay inside the release');
+        }
+      }
+    }
+  },
+  app_port: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Local port Node.js and Python apps listen on, for the reverse proxy',
+    validate: {
+      min: 1,
+      max: 65535
+    }
+  },
+  php_fpm_socket: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'PHP-FPM socket path; detected on the server when empty',
+    validate: {
+      is: /^\/[A-Za-z0-9._/-]+$/
+    }
+  },
   custom_commands: {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  command_timeout: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1800,
+    comment: 'Seconds a remote deployment command may run before it is killed',
+    validate: {
+      min: 1,
+      max: 86400
+    }
+  },
+  on_command_error: {
+    type: DataTypes.ENUM('abort', 'continue'),
+    allowNull: false,
+    defaultValue: 'abort',
+    comment: 'Whether a failing build, custom or restart command fails the deployment'
+  },
+  shared_dirs: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Newline-separated directories kept across releases'
+  },
+  shared_files: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Newline-separated files kept across releases'
+  },
+  keep_releases: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5,
+    validate: {
+      min: 1,
+      max: 50
+    }
+  },
   status: {
-    type: DataTypes.ENUM('active', 'inactive', 'deploying', 'error'),
+    type: DataTypes.ENUM('active', 'inactive', 'deploying', 'error', 'cancelled'),
     defaultValue: 'inactive'
   },
   last_deployment: {
     type: DataTypes.DATE,
     allowNull: true
   },
+  deployed_revision: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Commit SHA (or artifact) currently live'
+  },
+  deployed_commit_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
   response_time: {
     type: DataTypes.INTEGER,
     allowNull: true,
     comment: 'Response time in milliseconds'
   },
+  health_path: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: '/',
+    comment: 'Path requested by the uptime monitor'
+  },
+  expected_status: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 200
+  },
+  health_status: {
+    type: DataTypes.ENUM('unknown', 'up', 'degraded', 'down'),
+    allowNull: false,
+    defaultValue: 'unknown'
+  },
+  consecutive_failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  deploy_key_public: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'OpenSSH public key to register as a read-only deploy key'
+  },
+  deploy_key_private: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Encrypted OpenSSH private key used for clone and fetch'
+  },
+  git_access_token: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Encrypted HTTPS access token injected at deploy time'
+  },
+  webhook_secret: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Encrypted secret for verifying push webhooks'
+  },
   server_id: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -68,11 +270,37 @@ const Project = sequelize.define('Project', {
   }
 }, {
   tableName: 'projects',
-  timestamps: true
+  timestamps: true,
+  defaultScope: {
+    attributes: { exclude: SECRET_FIELDS }
+  },
+  scopes: {
+    withSecrets: {}
+  },
+  hooks: {
+    beforeCreate: encryptSecrets,
+    beforeUpdate: encryptSecrets
+  }
 });
 
+// Decrypt a secret field. Requires the instance to be loaded with the withSecrets scope.
+Project.prototype.getSecret = function(field) {
+  const value = this.getDataValue(field);
+  return value ? decrypt(value) : null;
+};
+
+// Never serialize secrets, even when they were loaded or just assigned
+Project.prototype.toJSON = function() {
+  const values = { ...this.get({ plain: true }) };
+  SECRET_FIELDS.forEach(field => delete values[field]);
+  return values;
+};
+
 // Define relationship
 Project.belongsTo(Server, { foreignKey: 'server_id', as: 'server' });
 Server.hasMany(Project, { foreignKey: 'server_id', as: 'projects' });
 
+Project.getNameError = getNameError;
+Project.getDeployPathError = getDeployPathError;
+
 module.exports = Project;
\ No newline at end of file
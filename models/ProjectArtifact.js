@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Project = require('./Project');
+const User = require('./User');
+
+const ProjectArtifact = sequelize.define('ProjectArtifact', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  project_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'projects',
+      key: 'id'
+    }
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Numbered from 1 per project'
+  },
+  file_path: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Location under uploads/ - the file is gone once expired_at is set'
+  },
+  original_name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: 'Bytes'
+  },
+  sha256: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  uploaded_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  format: {
+    type: DataTypes.ENUM('zip', 'tar', 'tar.gz', 'tar.bz2', 'tar.xz', 'file'),
+    allowNull: true,
+    comment: 'Detected from the magic bytes on upload - file means a single non-archive file'
+  },
+  file_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  unpacked_size: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Bytes'
+  },
+  top_level_dir: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Single folder every entry sits in, if any'
+  },
+  strip_top_level: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Deploy the contents of top_level_dir instead of the archive root'
+  },
+  expired_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the file was removed by retention; the record is kept for history'
+  }
+}, {
+  tableName: 'project_artifacts',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['project_id', 'version'] }
+  ]
+});
+
+// The local path is an implementation detail
+ProjectArtifact.prototype.toJSON = function() {
+  const values = { ...this.get({ plain: true }) };
+  delete values.file_path;
+  return values;
+};
+
+// Define relationship
+ProjectArtifact.belongsTo(Project, { foreignKey: 'project_id', as: 'project' });
+Project.hasMany(ProjectArtifact, { foreignKey: 'project_id', as: 'artifacts', onDelete: 'CASCADE' });
+ProjectArtifact.belongsTo(User, { foreignKey: 'uploaded_by', as: 'uploader', onDelete: 'SET NULL' });
+
+module.exports = ProjectArtifact;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Project = require('./Project');
+
+const ProjectCheck = sequelize.define('ProjectCheck', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  project_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'projects',
+      key: 'id'
+    }
+  },
+  url: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  success: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  },
+  status_code: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  response_time: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Response time in milliseconds'
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  checked_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'project_checks',
+  timestamps: false,
+  indexes: [
+    { fields: ['project_id', 'checked_at'] }
+  ]
+});
+
+// Define relationship
+ProjectCheck.belongsTo(Project, { foreignKey: 'project_id', as: 'project' });
+Project.hasMany(ProjectCheck, { foreignKey: 'project_id', as: 'checks', onDelete: 'CASCADE' });
+
+module.exports = ProjectCheck;
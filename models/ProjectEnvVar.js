@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Project = require('./Project');
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+
+// Encrypt newly assigned values
+const encryptValue = (envVar) => {
+  const value = envVar.getDataValue('value');
+  if (envVar.changed('value') && !isEncrypted(value)) {
+    envVar.setDataValue('value', encrypt(value));
+  }
+};
+
+const ProjectEnvVar = sequelize.define('ProjectEnvVar', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  project_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'projects',
+      key: 'id'
+    }
+  },
+  key: {
+    type: DataTypes.STRING(128),
+    allowNull: false,
+    validate: {
+      is: /^[A-Za-z_][A-Za-z0-9_]*$/
+    }
+  },
+  value: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Encrypted'
+  }
+}, {
+  tableName: 'project_env_vars',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['project_id', 'key'] }
+  ],
+  hooks: {
+    beforeCreate: encryptValue,
+    beforeUpdate: encryptValue
+  }
+});
+
+ProjectEnvVar.prototype.getValue = function() {
+  return decrypt(this.getDataValue('value'));
+};
+
+// Values are write-only through the API
+ProjectEnvVar.prototype.toJSON = function() {
+  const values = { ...this.get({ plain: true }) };
+  values.value = '********';
+  return values;
+};
+
+// Define relationship
+ProjectEnvVar.belongsTo(Project, { foreignKey: 'project_id', as: 'project' });
+Project.hasMany(ProjectEnvVar, { foreignKey: 'project_id', as: 'envVars', onDelete: 'CASCADE' });
+
+module.exports = ProjectEnvVar;
@@ -1,5 +1,25 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+
+const CREDENTIAL_FIELDS = ['ssh_password', 'ssh_private_key'];
+
+// Encrypt newly assigned credentials and keep the credential indicator in sync
+const encryptCredentials = (server) => {
+  const changed = CREDENTIAL_FIELDS.filter(field => server.changed(field));
+
+  changed.forEach(field => {
+    const value = server.getDataValue(field);
+    if (value && !isEncrypted(value)) {
+      server.setDataValue(field, encrypt(value));
+    }
+  });
+
+  if (changed.length > 0) {
+    server.credential_set = server.getDataValue('ssh_password') ? 'password'
+      : server.getDataValue('ssh_private_key') ? 'key' : null;
+  }
+};
 
 const Server = sequelize.define('Server', {
   id: {
@@ -37,6 +57,24 @@ const Server = sequelize.define('Server', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  credential_set: {
+    type: DataTypes.ENUM('password', 'key'),
+    allowNull: true,
+    comment: 'Which SSH credential is stored (values are never serialized)'
+  },
+  host_key_fingerprint: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Pinned SSH host key fingerprint (SHA256:...)'
+  },
+  host_key_type: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  host_key_pinned_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   cpu_info: {
     type: DataTypes.STRING,
     allowNull: true
@@ -49,6 +87,15 @@ const Server = sequelize.define('Server', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  max_concurrent_deployments: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1,
+      max: 20
+    }
+  },
   status: {
     type: DataTypes.ENUM('online', 'offline', 'error'),
     defaultValue: 'offline'
@@ -59,7 +106,42 @@ const Server = sequelize.define('Server', {
   }
 }, {
   tableName: 'servers',
-  timestamps: true
+  timestamps: true,
+  defaultScope: {
+    attributes: { exclude: CREDENTIAL_FIELDS }
+  },
+  scopes: {
+    withCredentials: {}
+  },
+  hooks: {
+    beforeCreate: encryptCredentials,
+    beforeUpdate: encryptCredentials
+  }
 });
 
+// Build a node-ssh connection config, decrypting the stored credential.
+// Requires the instance to be loaded with the withCredentials scope.
+Server.prototype.getSSHConfig = function() {
+  const config = {
+    host: this.ip_address,
+    port: this.ssh_port,
+    username: this.ssh_username
+  };
+
+  if (this.ssh_password) {
+    config.password = decrypt(this.ssh_password);
+  } else if (this.ssh_private_key) {
+    config.privateKey = decrypt(this.ssh_private_key);
+  }
+
+  return config;
+};
+
+// Never serialize credentials, even when they were loaded or just assigned
+Server.prototype.toJSON = function() {
+  const values = { ...this.get({ plain: true }) };
+  CREDENTIAL_FIELDS.forEach(field => delete values[field]);
+  return values;
+};
+
 module.exports = Server;
\ No newline at end of file
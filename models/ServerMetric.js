@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Server = require('./Server');
+
+const ServerMetric = sequelize.define('ServerMetric', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  server_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'servers',
+      key: 'id'
+    }
+  },
+  reachable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  },
+  load_1: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  load_5: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  load_15: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  memory_total: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Total memory in bytes'
+  },
+  memory_used: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Used memory in bytes'
+  },
+  disks: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Per mount: mount, size, used, available in bytes'
+  },
+  uptime: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Uptime in seconds'
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  checked_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'server_metrics',
+  timestamps: false,
+  indexes: [
+    { fields: ['server_id', 'checked_at'] }
+  ]
+});
+
+// Define relationship
+ServerMetric.belongsTo(Server, { foreignKey: 'server_id', as: 'server' });
+Server.hasMany(ServerMetric, { foreignKey: 'server_id', as: 'metrics', onDelete: 'CASCADE' });
+
+module.exports = ServerMetric;
@@ -1,6 +1,11 @@
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const sequelize = require('../config/database');
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+
+// admin: everything, including servers and users; deployer: deploy, roll back
+// and cancel; viewer: read-only
+const ROLES = ['admin', 'deployer', 'viewer'];
 
 const User = sequelize.define('User', {
   id: {
@@ -19,6 +24,45 @@ const User = sequelize.define('User', {
   password: {
     type: DataTypes.STRING,
     allowNull: false
+  },
+  role: {
+    type: DataTypes.ENUM(...ROLES),
+    allowNull: false,
+    defaultValue: 'viewer'
+  },
+  must_change_password: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  password_changed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  tokens_revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Access tokens issued before this are rejected (log out all sessions)'
+  },
+  totp_secret: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Encrypted; set at enrollment, active once totp_enabled'
+  },
+  totp_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  totp_last_step: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Last accepted TOTP time step - a code works once'
+  },
+  totp_recovery_codes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'SHA-256 hashes of unused recovery codes'
   }
 }, {
   tableName: 'users',
@@ -33,6 +77,9 @@ const User = sequelize.define('User', {
       if (user.changed('password')) {
         user.password = await bcrypt.hash(user.password, 10);
       }
+      if (user.changed('totp_secret') && user.totp_secret && !isEncrypted(user.totp_secret)) {
+        user.totp_secret = encrypt(user.totp_secret);
+      }
     }
   }
 });
@@ -41,4 +88,21 @@ User.prototype.verifyPassword = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
+User.prototype.getTotpSecret = function() {
+  return this.totp_secret ? decrypt(this.totp_secret) : null;
+};
+
+// Never expose the password hash or 2FA material
+User.prototype.toJSON = function() {
+  const values = { ...this.get({ plain: true }) };
+  delete values.password;
+  delete values.totp_secret;
+  delete values.totp_last_step;
+  delete values.totp_recovery_codes;
+  return values;
+};
+
+User.ROLES = ROLES;
+User.MIN_PASSWORD_LENGTH = 8;
+
 module.exports = User;
\ No newline at end of file
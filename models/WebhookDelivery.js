@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Project = require('./Project');
+const Deployment = require('./Deployment');
+
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  project_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'projects',
+      key: 'id'
+    }
+  },
+  provider: {
+    type: DataTypes.ENUM('github', 'gitlab', 'gitea', 'unknown'),
+    allowNull: false,
+    defaultValue: 'unknown'
+  },
+  event: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  delivery_id: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Provider delivery identifier'
+  },
+  ref: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  commit: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('accepted', 'ignored', 'rejected'),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  deployment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'deployments',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  timestamps: true,
+  updatedAt: false
+});
+
+// Define relationship
+WebhookDelivery.belongsTo(Project, { foreignKey: 'project_id', as: 'project' });
+Project.hasMany(WebhookDelivery, { foreignKey: 'project_id', as: 'webhookDeliveries', onDelete: 'CASCADE' });
+WebhookDelivery.belongsTo(Deployment, { foreignKey: 'deployment_id', as: 'deployment', onDelete: 'SET NULL' });
+
+module.exports = WebhookDelivery;
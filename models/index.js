@@ -2,6 +2,15 @@ const sequelize = require('../config/database');
 const User = require('./User');
 const Server = require('./Server');
 const Project = require('./Project');
+const Deployment = require('./Deployment');
+const ServerMetric = require('./ServerMetric');
+const ProjectCheck = require('./ProjectCheck');
+const WebhookDelivery = require('./WebhookDelivery');
+const ProjectEnvVar = require('./ProjectEnvVar');
+const ProjectArtifact = require('./ProjectArtifact');
+const AuditLog = require('./AuditLog');
+const ApiToken = require('./ApiToken');
+const RefreshToken = require('./RefreshToken');
 
 // Sync database
 const syncDatabase = async () => {
@@ -14,9 +23,24 @@ const syncDatabase = async () => {
     if (!adminExists) {
       await User.create({
         username: 'admin',
-        password: 'admin123'
+        password: 'admin123',
+        role: 'admin',
+        must_change_password: true
       });
-      console.log('✅ Default admin user created (username: admin, password: admin123)');
+      console.log('✅ Default admin user created (username: admin, password: admin123) - change the password at first login');
+    } else if (!adminExists.must_change_password && await adminExists.verifyPassword('admin123')) {
+      await adminExists.update({ must_change_password: true });
+      console.log('⚠️  Admin user still uses the default password - a change is required at next login');
+    }
+
+    // Users predating roles default to viewer - keep someone able to administer
+    const adminCount = await User.count({ where: { role: 'admin' } });
+    if (adminCount === 0) {
+      const firstUser = await User.findOne({ order: [['id', 'ASC']] });
+      if (firstUser) {
+        await firstUser.update({ role: 'admin' });
+        console.log(`⚠️  No admin found - granted the admin role to ${firstUser.username}`);
+      }
     }
   } catch (error) {
     console.error('❌ Error synchronizing database:', error.message);
@@ -28,5 +52,14 @@ module.exports = {
   User,
   Server,
   Project,
+  Deployment,
+  ServerMetric,
+  ProjectCheck,
+  WebhookDelivery,
+  ProjectEnvVar,
+  ProjectArtifact,
+  AuditLog,
+  ApiToken,
+  RefreshToken,
   syncDatabase
 };
\ No newline at end of file
@@ -0,0 +1,83 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { AuditLog } = require('../models');
+const authMiddleware = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(authMiddleware);
+router.use(requireRole('admin'));
+
+const MAX_PAGE_SIZE = 200;
+
+// Get audit entries, newest first.
+// Filters: user_id, username, action, entity_type, entity_id, from, to. Paging: page, limit.
+router.get('/', async (req, res) => {
+  try {
+    const { user_id, username, action, entity_type, entity_id, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+    const where = {};
+    if (user_id) {
+      where.user_id = user_id;
+    }
+    if (username) {
+      where.username = username;
+    }
+    if (action) {
+      where.action = action;
+    }
+    if (entity_type) {
+      where.entity_type = entity_type;
+    }
+    if (entity_id) {
+      where.entity_id = entity_id;
+    }
+
+    if (from || to) {
+      const range = {};
+      if (from) {
+        range[Op.gte] = new Date(from);
+      }
+      if (to) {
+        range[Op.lte] = new Date(to);
+      }
+      if (Object.getOwnPropertySymbols(range).some(key => isNaN(range[key]))) {
+        return res.status(400).json({
+          error: true,
+          message: 'Invalid from or to date'
+        });
+      }
+      where.createdAt = range;
+    }
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+module.exports = router;
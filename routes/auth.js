@@ -1,60 +1,189 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const authMiddleware = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const sessionService = require('../services/sessionService');
+const loginThrottle = require('../services/loginThrottle');
+const twoFactorService = require('../services/twoFactorService');
 
 const router = express.Router();
 
-// Login route
+// Attempts during a lockout are refused unchecked, but still recorded
+const tooManyAttempts = async (req, res, user, username, retryAfter) => {
+  await auditService.log(req, 'auth.login_failed', {
+    actor: user || { id: null, username },
+    entityType: user ? 'user' : null,
+    entityId: user ? user.id : null,
+    details: { reason: 'locked out', retry_after: retryAfter }
+  });
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: true,
+    message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+  });
+};
+
+const rejectLogin = async (req, res, user, username, reason) => {
+  const locked = loginThrottle.recordFailure(username, req.ip);
+
+  await auditService.log(req, 'auth.login_failed', {
+    actor: user || { id: null, username },
+    entityType: user ? 'user' : null,
+    entityId: user ? user.id : null,
+    details: { reason, locked }
+  });
+
+  res.status(401).json({
+    error: true,
+    message: 'Invalid credentials'
+  });
+};
+
+// Start a session: short-lived access token plus a refresh token
+const completeLogin = async (req, res, user, details = null) => {
+  loginThrottle.recordSuccess(user.username);
+  const tokens = await sessionService.create(user, req);
+
+  await auditService.log(req, 'auth.login', {
+    actor: user,
+    entityType: 'user',
+    entityId: user.id,
+    details
+  });
+
+  res.json({
+    success: true,
+    ...tokens,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      must_change_password: user.must_change_password
+    }
+  });
+};
+
+// Login route. Users with two-factor authentication get a challenge token to
+// complete at /login/2fa instead of a session.
 router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body;
 
     // Validate input
-    if (!username || !password) {
+    if (!username || !password || typeof username !== 'string') {
       return res.status(400).json({
         error: true,
         message: 'Username and password are required'
       });
     }
 
+    // Throttle before touching the database
+    const retryAfter = loginThrottle.retryAfter(username, req.ip);
+    if (retryAfter) {
+      return tooManyAttempts(req, res, null, username, retryAfter);
+    }
+
     // Find user
     const user = await User.findOne({ where: { username } });
     
     if (!user) {
-      return res.status(401).json({
-        error: true,
-        message: 'Invalid credentials'
-      });
+      return rejectLogin(req, res, null, username, 'Unknown user');
     }
 
     // Verify password
     const isValidPassword = await user.verifyPassword(password);
     
     if (!isValidPassword) {
+      return rejectLogin(req, res, user, username, 'Wrong password');
+    }
+
+    if (user.totp_enabled) {
+      return res.json({
+        success: true,
+        two_factor_required: true,
+        challenge_token: twoFactorService.createChallenge(user)
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Second login step: a TOTP code or a recovery code for the challenge from /login
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Challenge token and a code or recovery code are required'
+      });
+    }
+
+    const userId = twoFactorService.verifyChallenge(challenge_token);
+    const user = userId ? await User.findByPk(userId) : null;
+
+    if (!user) {
       return res.status(401).json({
         error: true,
-        message: 'Invalid credentials'
+        message: 'Invalid or expired challenge - log in again'
+      });
+    }
+
+    const retryAfter = loginThrottle.retryAfter(user.username, req.ip);
+    if (retryAfter) {
+      return tooManyAttempts(req, res, user, user.username, retryAfter);
+    }
+
+    if (!await twoFactorService.verify(user, { code, recoveryCode: recovery_code })) {
+      return rejectLogin(req, res, user, user.username, 'Invalid two-factor code');
+    }
+
+    await completeLogin(req, res, user, { two_factor: recovery_code ? 'recovery_code' : 'totp' });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token || typeof refresh_token !== 'string') {
+      return res.status(400).json({
+        error: true,
+        message: 'Refresh token is required'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const result = await sessionService.rotate(refresh_token, req);
+
+    if (!result) {
+      return res.status(401).json({
+        error: true,
+        message: 'Invalid or expired refresh token'
+      });
+    }
 
     res.json({
       success: true,
-      token,
-      user: {
-        id: user.id,
-        username: user.username
-      }
+      ...result.tokens
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       error: true,
       message: 'Internal server error'
@@ -62,12 +191,308 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// End the current session
+router.post('/logout', authMiddleware.allowPasswordChange, async (req, res) => {
+  try {
+    if (req.user.session_id) {
+      await sessionService.revokeSession(req.user.session_id, 'logout');
+    }
+
+    await auditService.log(req, 'auth.logout', {
+      entityType: 'user',
+      entityId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to log out'
+    });
+  }
+});
+
+// End every session of the current user. API tokens are revoked separately.
+router.post('/logout-all', authMiddleware.allowPasswordChange, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    await sessionService.revokeAll(user, 'logout_all');
+
+    await auditService.log(req, 'auth.logout_all', {
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'All sessions logged out'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to log out all sessions'
+    });
+  }
+});
+
 // Verify token route
-router.get('/verify', authMiddleware, async (req, res) => {
+router.get('/verify', authMiddleware.allowPasswordChange, async (req, res) => {
   res.json({
     success: true,
     user: req.user
   });
 });
 
+// Change own password - also clears a pending forced change
+router.post('/change-password', authMiddleware.allowPasswordChange, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        error: true,
+        message: 'Current and new password are required'
+      });
+    }
+
+    if (typeof new_password !== 'string' || new_password.length < User.MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: true,
+        message: `New password must be at least ${User.MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const user = await User.findByPk(req.user.id);
+
+    if (!await user.verifyPassword(current_password)) {
+      return res.status(401).json({
+        error: true,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await user.verifyPassword(new_password)) {
+      return res.status(400).json({
+        error: true,
+        message: 'New password must differ from the current one'
+      });
+    }
+
+    await user.update({
+      password: new_password,
+      must_change_password: false,
+      password_changed_at: new Date()
+    });
+
+    // Every existing session ends - hand this one a fresh token pair
+    await sessionService.revokeAll(user, 'password_change');
+    const tokens = await sessionService.create(user, req);
+
+    await auditService.log(req, 'auth.password_change', {
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to change password'
+    });
+  }
+});
+
+// Two-factor status for the current user
+router.get('/2fa', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.totp_enabled,
+        recovery_codes_remaining: user.totp_enabled ? (user.totp_recovery_codes || []).length : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch two-factor status'
+    });
+  }
+});
+
+// Start enrollment: returns the secret and an otpauth:// URI for authenticator apps
+router.post('/2fa/enroll', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({
+        error: true,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await twoFactorService.enroll(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the URI with an authenticator app, then confirm with a code',
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('Two-factor enroll error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to start two-factor enrollment'
+    });
+  }
+});
+
+// Finish enrollment with a code. Recovery codes are only shown in this response.
+router.post('/2fa/activate', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({
+        error: true,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({
+        error: true,
+        message: 'Start enrollment first'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.activate(user, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid code'
+      });
+    }
+
+    await auditService.log(req, 'auth.2fa_enable', {
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+      data: { recovery_codes: recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Two-factor activate error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Replace the recovery codes (requires the password)
+router.post('/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({
+        error: true,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!req.body.password || !await user.verifyPassword(req.body.password)) {
+      return res.status(401).json({
+        error: true,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+    await auditService.log(req, 'auth.2fa_recovery_codes', {
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes replaced',
+      data: { recovery_codes: recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to replace recovery codes'
+    });
+  }
+});
+
+// Turn two-factor authentication off (requires the password and a code)
+router.delete('/2fa', authMiddleware, async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({
+        error: true,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!password || !await user.verifyPassword(password)) {
+      return res.status(401).json({
+        error: true,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!await twoFactorService.verify(user, { code, recoveryCode: recovery_code })) {
+      return res.status(401).json({
+        error: true,
+        message: 'Invalid code'
+      });
+    }
+
+    await twoFactorService.disable(user);
+
+    await auditService.log(req, 'auth.2fa_disable', {
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
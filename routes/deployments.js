@@ -0,0 +1,251 @@
+const express = require('express');
+const { Deployment } = require('../models');
+const authMiddleware = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const deploymentLogs = require('../services/deploymentLogs');
+const deploymentService = require('../services/deploymentService');
+const deploymentQueue = require('../services/deploymentQueue');
+const auditService = require('../services/auditService');
+const sessionService = require('../services/sessionService');
+
+const router = express.Router();
+
+// EventSource cannot send an Authorization header, so the stream also accepts
+// a short-lived stream token in the query string
+const streamAuth = async (req, res, next) => {
+  if (!req.query.token) {
+    return authMiddleware(req, res, next);
+  }
+
+  try {
+    const user = await sessionService.verifyStreamToken(String(req.query.token), req.params.id);
+    if (!user) {
+      return res.status(401).json({
+        error: true,
+        message: 'Invalid or expired stream token'
+      });
+    }
+
+    req.user = {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      must_change_password: user.must_change_password,
+      session_id: null,
+      api_token_id: null
+    };
+    next();
+  } catch (error) {
+    console.error('Stream auth error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to authenticate stream'
+    });
+  }
+};
+
+// Stream deployment output as Server-Sent Events. Browsers' EventSource
+// authenticates with ?token= from POST /:id/stream-token.
+router.get('/:id/stream', streamAuth, async (req, res) => {
+  try {
+    const deployment = await Deployment.findByPk(req.params.id);
+
+    if (!deployment) {
+      return res.status(404).json({
+        error: true,
+        message: 'Deployment not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Output is no longer in memory - replay the stored step results
+    if (!deploymentLogs.has(deployment.id)) {
+      for (const step of deployment.steps) {
+        send({ type: 'command', step: step.step, command: step.command });
+        if (step.stdout) {
+          send({ type: 'stdout', step: step.step, data: step.stdout });
+        }
+        if (step.stderr) {
+          send({ type: 'stderr', step: step.step, data: step.stderr });
+        }
+        send({ type: 'exit', step: step.step, code: step.code });
+      }
+      send({ type: 'end', status: deployment.status });
+      return res.end();
+    }
+
+    // Keep intermediaries from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    const unsubscribe = deploymentLogs.subscribe(deployment.id, (event) => {
+      send(event);
+      if (event.type === 'end') {
+        clearInterval(heartbeat);
+        res.end();
+      }
+    });
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Stream deployment error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: true,
+      message: 'Failed to stream deployment'
+    });
+  }
+});
+
+// Everything else requires the Authorization header
+router.use(authMiddleware);
+
+// Issue a token for GET /:id/stream?token=, valid for one minute
+router.post('/:id/stream-token', async (req, res) => {
+  try {
+    const deployment = await Deployment.findByPk(req.params.id);
+
+    if (!deployment) {
+      return res.status(404).json({
+        error: true,
+        message: 'Deployment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: sessionService.createStreamToken(req.user, deployment.id)
+    });
+  } catch (error) {
+    console.error('Create stream token error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to create stream token'
+    });
+  }
+});
+
+// Get single deployment with step results
+router.get('/:id', async (req, res) => {
+  try {
+    const deployment = await Deployment.findByPk(req.params.id, {
+      include: [
+        {
+          association: 'project',
+          attributes: ['id', 'name', 'project_type', 'source_type']
+        },
+        {
+          association: 'server',
+          attributes: ['id', 'name', 'ip_address']
+        },
+        {
+          association: 'user',
+          attributes: ['id', 'username']
+        }
+      ]
+    });
+
+    if (!deployment) {
+      return res.status(404).json({
+        error: true,
+        message: 'Deployment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deployment
+    });
+  } catch (error) {
+    console.error('Get deployment error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch deployment'
+    });
+  }
+});
+
+// Cancel a queued or running deployment. Pass restore_backup: true to restore
+// the backup taken before the run if the new release had already gone live.
+router.post('/:id/cancel', requireRole('admin', 'deployer'), async (req, res) => {
+  try {
+    const deployment = await Deployment.findByPk(req.params.id);
+
+    if (!deployment) {
+      return res.status(404).json({
+        error: true,
+        message: 'Deployment not found'
+      });
+    }
+
+    if (deployment.status === 'queued') {
+      if (await deploymentQueue.cancel(deployment)) {
+        await auditService.log(req, 'deployment.cancel', {
+          entityType: 'deployment',
+          entityId: deployment.id,
+          details: { project_id: deployment.project_id, status: 'queued' }
+        });
+
+        return res.json({
+          success: true,
+          message: 'Deployment cancelled',
+          data: { id: deployment.id, status: 'cancelled' }
+        });
+      }
+
+      // Started in the meantime
+      await deployment.reload();
+    }
+
+    if (deployment.status === 'running') {
+      const restoreBackup = req.body.restore_backup === true;
+
+      if (deploymentService.cancel(deployment.id, { restoreBackup })) {
+        await auditService.log(req, 'deployment.cancel', {
+          entityType: 'deployment',
+          entityId: deployment.id,
+          details: { project_id: deployment.project_id, status: 'running', restore_backup: restoreBackup }
+        });
+
+        return res.json({
+          success: true,
+          message: 'Cancellation requested',
+          data: { id: deployment.id, status: 'cancelling' }
+        });
+      }
+
+      return res.status(409).json({
+        error: true,
+        message: 'Deployment is already being cancelled'
+      });
+    }
+
+    res.status(409).json({
+      error: true,
+      message: `Deployment already finished with status ${deployment.status}`
+    });
+  } catch (error) {
+    console.error('Cancel deployment error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to cancel deployment'
+    });
+  }
+});
+
+module.exports = router;
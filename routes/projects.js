@@ -2,9 +2,20 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const { Project, Server } = require('../models');
+const { Op } = require('sequelize');
+const { Project, Server, Deployment, ProjectCheck, WebhookDelivery, ProjectEnvVar, ProjectArtifact, User } = require('../models');
 const authMiddleware = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
 const deploymentService = require('../services/deploymentService');
+const deploymentQueue = require('../services/deploymentQueue');
+const uptimeMonitor = require('../services/uptimeMonitor');
+const webhookService = require('../services/webhookService');
+const auditService = require('../services/auditService');
+const artifactService = require('../services/artifactService');
+const archiveService = require('../services/archiveService');
+const { ArchiveError } = archiveService;
+const { parseRange } = require('../utils/dateRange');
+const { utils: sshUtils } = require('ssh2');
 
 const router = express.Router();
 
@@ -17,7 +28,7 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + '-' + file.originalname);
+    cb(null, uniqueSuffix + '-' + archiveService.safeFileName(file.originalname));
   }
 });
 
@@ -26,9 +37,58 @@ const upload = multer({
   limits: { fileSize: 100 * 1024 * 1024 } // 100MB limit
 });
 
+// Runs after upload.single(): checks the stored file before it is used and sets
+// req.archive to its format and file list. Unsafe archives are deleted with a 400.
+const inspectUpload = async (req, res, next) => {
+  if (!req.file) {
+    return next();
+  }
+
+  try {
+    const archive = await archiveService.inspect(req.file.path, { name: req.file.originalname });
+    archive.strip_top_level = [true, 'true', '1'].includes(req.body.strip_top_level);
+
+    if (archive.strip_top_level && !archive.top_level_dir) {
+      throw new ArchiveError('strip_top_level needs an archive with a single top-level folder');
+    }
+
+    req.archive = archive;
+    next();
+  } catch (error) {
+    await fs.unlink(req.file.path).catch(() => {});
+
+    if (error instanceof ArchiveError) {
+      return res.status(400).json({
+        error: true,
+        message: error.message
+      });
+    }
+
+    console.error('Inspect upload error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to inspect uploaded file'
+    });
+  }
+};
+
 // All routes require authentication
 router.use(authMiddleware);
 
+// Name and deploy path end up in remote commands - refuse unsafe values up front
+const validateProjectInput = ({ name, deploy_path }) => {
+  if (name) {
+    const nameError = Project.getNameError(name);
+    if (nameError) {
+      return nameError;
+    }
+  }
+  if (deploy_path) {
+    return Project.getDeployPathError(deploy_path);
+  }
+  return null;
+};
+
 // Get all projects
 router.get('/', async (req, res) => {
   try {
@@ -36,7 +96,7 @@ router.get('/', async (req, res) => {
     
     const where = {};
     if (search) {
-      where.name = { [require('sequelize').Op.like]: `%${search}%` };
+      where.name = { [Op.like]: `%${search}%` };
     }
     if (server_id) {
       where.server_id = server_id;
@@ -96,17 +156,29 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create project with GitHub URL
-router.post('/', async (req, res) => {
+router.post('/', requireRole('admin'), async (req, res) => {
   try {
     const {
       name,
       project_type,
       source_type,
       source_url,
+      branch,
       server_id,
       deploy_path,
       domain,
-      custom_commands
+      web_server,
+      document_root,
+      app_port,
+      php_fpm_socket,
+      custom_commands,
+      command_timeout,
+      on_command_error,
+      shared_dirs,
+      shared_files,
+      keep_releases,
+      health_path,
+      expected_status
     } = req.body;
 
     // Validate required fields
@@ -124,6 +196,14 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const validationError = validateProjectInput({ name, deploy_path });
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
     // Check if server exists
     const server = await Server.findByPk(server_id);
     if (!server) {
@@ -138,13 +218,31 @@ router.post('/', async (req, res) => {
       project_type,
       source_type,
       source_url,
+      branch: branch || null,
       deploy_path: deploy_path || '/var/www/html',
       domain,
+      web_server: web_server || 'auto',
+      document_root: document_root || null,
+      app_port: app_port || null,
+      php_fpm_socket: php_fpm_socket || null,
       custom_commands,
+      command_timeout: command_timeout || undefined,
+      on_command_error: on_command_error || undefined,
+      shared_dirs,
+      shared_files,
+      keep_releases,
+      health_path,
+      expected_status,
       server_id,
       status: 'inactive'
     });
 
+    await auditService.log(req, 'project.create', {
+      entityType: 'project',
+      entityId: project.id,
+      after: auditService.snapshot(project)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Project created successfully',
@@ -160,7 +258,7 @@ router.post('/', async (req, res) => {
 });
 
 // Create project with file upload
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', requireRole('admin'), upload.single('file'), inspectUpload, async (req, res) => {
   try {
     const {
       name,
@@ -168,7 +266,20 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       server_id,
       deploy_path,
       domain,
-      custom_commands
+      web_server,
+      document_root,
+      app_port,
+      php_fpm_socket,
+      custom_commands,
+      command_timeout,
+      on_command_error,
+      shared_dirs,
+      shared_files,
+      keep_releases,
+      artifact_retention,
+      health_path,
+      expected_status,
+      notes
     } = req.body;
 
     if (!req.file) {
@@ -178,9 +289,19 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       });
     }
 
+    const validationError = validateProjectInput({ name, deploy_path }) || (!name ? 'Name is required' : null);
+    if (validationError) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
     // Check if server exists
     const server = await Server.findByPk(server_id);
     if (!server) {
+      await fs.unlink(req.file.path).catch(() => {});
       return res.status(404).json({
         error: true,
         message: 'Server not found'
@@ -194,18 +315,47 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       source_path: req.file.path,
       deploy_path: deploy_path || '/var/www/html',
       domain,
+      web_server: web_server || 'auto',
+      document_root: document_root || null,
+      app_port: app_port || null,
+      php_fpm_socket: php_fpm_socket || null,
       custom_commands,
+      command_timeout: command_timeout || undefined,
+      on_command_error: on_command_error || undefined,
+      shared_dirs,
+      shared_files,
+      keep_releases,
+      artifact_retention: artifact_retention || undefined,
+      health_path,
+      expected_status,
       server_id,
       status: 'inactive'
     });
 
+    // The file becomes artifact version 1
+    const artifact = await artifactService.create(project, req.file, {
+      userId: req.user.id,
+      notes,
+      archive: req.archive
+    });
+
+    await auditService.log(req, 'project.create', {
+      entityType: 'project',
+      entityId: project.id,
+      after: auditService.snapshot(project)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Project created successfully',
-      data: project
+      data: project,
+      artifact: { ...artifact.toJSON(), files: req.archive.files }
     });
   } catch (error) {
     console.error('Create project error:', error);
+    if (req.file) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
     res.status(500).json({
       error: true,
       message: 'Failed to create project'
@@ -214,7 +364,7 @@ router.post('/upload', upload.single('file'), async (req, res) => {
 });
 
 // Update project
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('admin'), async (req, res) => {
   try {
     const project = await Project.findByPk(req.params.id);
 
@@ -229,18 +379,64 @@ router.put('/:id', async (req, res) => {
       name,
       project_type,
       source_url,
+      branch,
       deploy_path,
       domain,
-      custom_commands
+      web_server,
+      document_root,
+      app_port,
+      php_fpm_socket,
+      custom_commands,
+      command_timeout,
+      on_command_error,
+      shared_dirs,
+      shared_files,
+      keep_releases,
+      artifact_retention,
+      health_path,
+      expected_status
     } = req.body;
 
+    const validationError = validateProjectInput({ name, deploy_path });
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    const before = auditService.snapshot(project);
     await project.update({
       name: name || project.name,
       project_type: project_type || project.project_type,
       source_url: source_url || project.source_url,
+      branch: branch !== undefined ? (branch || null) : project.branch,
       deploy_path: deploy_path || project.deploy_path,
       domain: domain !== undefined ? domain : project.domain,
-      custom_commands: custom_commands !== undefined ? custom_commands : project.custom_commands
+      web_server: web_server || project.web_server,
+      document_root: document_root !== undefined ? (document_root || null) : project.document_root,
+      app_port: app_port !== undefined ? (app_port || null) : project.app_port,
+      php_fpm_socket: php_fpm_socket !== undefined ? (php_fpm_socket || null) : project.php_fpm_socket,
+      custom_commands: custom_commands !== undefined ? custom_commands : project.custom_commands,
+      command_timeout: command_timeout || project.command_timeout,
+      on_command_error: on_command_error || project.on_command_error,
+      shared_dirs: shared_dirs !== undefined ? shared_dirs : project.shared_dirs,
+      shared_files: shared_files !== undefined ? shared_files : project.shared_files,
+      keep_releases: keep_releases || project.keep_releases,
+      artifact_retention: artifact_retention || project.artifact_retention,
+      health_path: health_path || project.health_path,
+      expected_status: expected_status || project.expected_status
+    });
+
+    if (artifact_retention) {
+      await artifactService.expire(project);
+    }
+
+    await auditService.log(req, 'project.update', {
+      entityType: 'project',
+      entityId: project.id,
+      before,
+      after: auditService.snapshot(project)
     });
 
     res.json({
@@ -258,7 +454,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete project
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('admin'), async (req, res) => {
   try {
     const project = await Project.findByPk(req.params.id);
 
@@ -269,17 +465,17 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Delete uploaded file if exists
-    if (project.source_path) {
-      try {
-        await fs.unlink(project.source_path);
-      } catch (err) {
-        console.error('Failed to delete uploaded file:', err);
-      }
-    }
+    // Delete uploaded files if any
+    await artifactService.removeAll(project);
 
     await project.destroy();
 
+    await auditService.log(req, 'project.delete', {
+      entityType: 'project',
+      entityId: project.id,
+      before: auditService.snapshot(project)
+    });
+
     res.json({
       success: true,
       message: 'Project deleted successfully'
@@ -294,7 +490,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Deploy project
-router.post('/:id/deploy', async (req, res) => {
+router.post('/:id/deploy', requireRole('admin', 'deployer'), async (req, res) => {
   try {
     const project = await Project.findByPk(req.params.id, {
       include: [{ model: Server, as: 'server' }]
@@ -315,26 +511,63 @@ router.post('/:id/deploy', async (req, res) => {
       });
     }
 
-    // Update status to deploying
-    await project.update({ status: 'deploying' });
+    // Optional one-off branch, tag or SHA, or artifact version for upload projects
+    const { ref, artifact_id } = req.body;
+    if (ref !== undefined && ref !== null && !deploymentService.isValidRef(ref)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid Git ref'
+      });
+    }
 
-    // Start deployment in background
-    deploymentService.deploy(project)
-      .then(async () => {
-        await project.update({ 
-          status: 'active',
-          last_deployment: new Date()
-        });
-      })
-      .catch(async (error) => {
-        console.error('Deployment failed:', error);
-        await project.update({ status: 'error' });
+    if (ref && project.source_type !== 'github') {
+      return res.status(400).json({
+        error: true,
+        message: 'A ref can only be deployed for Git projects'
+      });
+    }
+
+    if (artifact_id && project.source_type !== 'upload') {
+      return res.status(400).json({
+        error: true,
+        message: 'An artifact can only be deployed for upload projects'
       });
+    }
+
+    // Upload projects deploy the newest artifact unless one is chosen
+    let artifact = null;
+    if (project.source_type === 'upload') {
+      artifact = artifact_id
+        ? await artifactService.findAvailable(project, artifact_id)
+        : await artifactService.latest(project);
+
+      if (artifact_id && !artifact) {
+        return res.status(404).json({
+          error: true,
+          message: 'Artifact not found or expired'
+        });
+      }
+    }
+
+    // Queue deployment - it starts once the project and server are free
+    const deployment = await deploymentQueue.enqueue(project, req.user.id, {
+      ref,
+      artifactId: artifact ? artifact.id : null
+    });
+
+    await auditService.log(req, 'project.deploy', {
+      entityType: 'project',
+      entityId: project.id,
+      details: { deployment_id: deployment.id, ref: ref || null, artifact_id: artifact ? artifact.id : null }
+    });
 
     res.json({
       success: true,
-      message: 'Deployment started',
-      data: { status: 'deploying' }
+      message: 'Deployment queued',
+      data: {
+        status: 'queued',
+        deployment_id: deployment.id
+      }
     });
   } catch (error) {
     console.error('Deploy project error:', error);
@@ -345,4 +578,813 @@ router.post('/:id/deploy', async (req, res) => {
   }
 });
 
+// List uploaded artifact versions, newest first. Expired versions are kept for history.
+router.get('/:id/artifacts', async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const artifacts = await ProjectArtifact.findAll({
+      where: { project_id: project.id },
+      include: [{ model: User, as: 'uploader', attributes: ['id', 'username'] }],
+      order: [['version', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: artifacts
+    });
+  } catch (error) {
+    console.error('Get artifacts error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to get artifacts'
+    });
+  }
+});
+
+// Upload a new artifact version for an upload project
+router.post('/:id/artifacts', requireRole('admin', 'deployer'), upload.single('file'), inspectUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: true,
+        message: 'No file uploaded'
+      });
+    }
+
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    if (project.source_type !== 'upload') {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        error: true,
+        message: 'Artifacts can only be uploaded for upload projects'
+      });
+    }
+
+    const artifact = await artifactService.create(project, req.file, {
+      userId: req.user.id,
+      notes: req.body.notes,
+      archive: req.archive
+    });
+
+    await auditService.log(req, 'project.artifact_upload', {
+      entityType: 'project',
+      entityId: project.id,
+      details: {
+        artifact_id: artifact.id,
+        version: artifact.version,
+        sha256: artifact.sha256,
+        size: artifact.size,
+        format: artifact.format,
+        file_count: artifact.file_count
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Artifact v${artifact.version} uploaded`,
+      data: { ...artifact.toJSON(), files: req.archive.files }
+    });
+  } catch (error) {
+    console.error('Upload artifact error:', error);
+    if (req.file) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+    res.status(500).json({
+      error: true,
+      message: 'Failed to upload artifact'
+    });
+  }
+});
+
+// List backups stored on the project's server
+router.get('/:id/backups', async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id, {
+      include: [{ model: Server.scope('withCredentials'), as: 'server' }]
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const backups = await deploymentService.listBackups(project);
+
+    res.json({
+      success: true,
+      data: backups
+    });
+  } catch (error) {
+    console.error('Get backups error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch backups: ' + error.message
+    });
+  }
+});
+
+// List release directories on the project's server
+router.get('/:id/releases', async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id, {
+      include: [{ model: Server.scope('withCredentials'), as: 'server' }]
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const releases = await deploymentService.listReleases(project);
+
+    res.json({
+      success: true,
+      data: releases
+    });
+  } catch (error) {
+    console.error('Get releases error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch releases: ' + error.message
+    });
+  }
+});
+
+// Roll back project to a previous release or backup
+router.post('/:id/rollback', requireRole('admin', 'deployer'), async (req, res) => {
+  try {
+    const { backup, release } = req.body;
+
+    const project = await Project.findByPk(req.params.id, {
+      include: [{ model: Server, as: 'server' }]
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    if (release ? !deploymentService.isValidReleaseName(release) : !deploymentService.isValidBackupName(project, backup)) {
+      return res.status(400).json({
+        error: true,
+        message: 'A valid release or backup file name is required'
+      });
+    }
+
+    // Check if server is online
+    if (project.server.status === 'offline') {
+      return res.status(400).json({
+        error: true,
+        message: 'Server is offline. Please check server status first.'
+      });
+    }
+
+    // Queue rollback - it starts once the project and server are free
+    const deployment = await deploymentQueue.enqueue(project, req.user.id, release ? { release } : { backup });
+
+    await auditService.log(req, 'project.rollback', {
+      entityType: 'project',
+      entityId: project.id,
+      details: { deployment_id: deployment.id, release: release || null, backup: release ? null : backup }
+    });
+
+    res.json({
+      success: true,
+      message: 'Rollback queued',
+      data: {
+        status: 'queued',
+        deployment_id: deployment.id
+      }
+    });
+  } catch (error) {
+    console.error('Rollback project error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to start rollback'
+    });
+  }
+});
+
+// Get uptime percentage and latency percentiles for a project
+router.get('/:id/uptime', async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const range = parseRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid from or to date'
+      });
+    }
+
+    const stats = await uptimeMonitor.getStats(project, range.from, range.to);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Get uptime error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch uptime'
+    });
+  }
+});
+
+// Get HTTP check history for a project
+router.get('/:id/checks', async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const range = parseRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid from or to date'
+      });
+    }
+
+    const checks = await ProjectCheck.findAll({
+      where: {
+        project_id: project.id,
+        checked_at: { [Op.between]: [range.from, range.to] }
+      },
+      order: [['checked_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: checks
+    });
+  } catch (error) {
+    console.error('Get checks error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch checks'
+    });
+  }
+});
+
+// Get the project's public deploy key
+router.get('/:id/deploy-key', async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { public_key: project.deploy_key_public }
+    });
+  } catch (error) {
+    console.error('Get deploy key error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch deploy key'
+    });
+  }
+});
+
+// Generate (or rotate) the project's deploy keypair. Register the public key as a read-only deploy key.
+router.post('/:id/deploy-key', requireRole('admin'), async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    if (project.source_type !== 'github') {
+      return res.status(400).json({
+        error: true,
+        message: 'Deploy keys are only available for Git projects'
+      });
+    }
+
+    const keys = sshUtils.generateKeyPairSync('ed25519', { comment: `webdeploy-${project.name}` });
+
+    const before = auditService.snapshot(project);
+    await project.update({
+      deploy_key_public: keys.public,
+      deploy_key_private: keys.private
+    });
+
+    await auditService.log(req, 'project.deploy_key_generate', {
+      entityType: 'project',
+      entityId: project.id,
+      before,
+      after: auditService.snapshot(project)
+    });
+
+    res.json({
+      success: true,
+      message: 'Deploy key generated',
+      data: { public_key: project.deploy_key_public }
+    });
+  } catch (error) {
+    console.error('Generate deploy key error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to generate deploy key'
+    });
+  }
+});
+
+// Remove the project's deploy key
+router.delete('/:id/deploy-key', requireRole('admin'), async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const before = auditService.snapshot(project);
+    await project.update({
+      deploy_key_public: null,
+      deploy_key_private: null
+    });
+
+    await auditService.log(req, 'project.deploy_key_remove', {
+      entityType: 'project',
+      entityId: project.id,
+      before,
+      after: auditService.snapshot(project)
+    });
+
+    res.json({
+      success: true,
+      message: 'Deploy key removed'
+    });
+  } catch (error) {
+    console.error('Remove deploy key error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to remove deploy key'
+    });
+  }
+});
+
+// Check whether an HTTPS access token is stored (the token itself is never returned)
+router.get('/:id/access-token', async (req, res) => {
+  try {
+    const project = await Project.scope('withSecrets').findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { set: Boolean(project.git_access_token) }
+    });
+  } catch (error) {
+    console.error('Get access token error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch access token status'
+    });
+  }
+});
+
+// Store an HTTPS access token for cloning private repositories
+router.put('/:id/access-token', requireRole('admin'), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        error: true,
+        message: 'Token is required'
+      });
+    }
+
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    if (project.source_type !== 'github') {
+      return res.status(400).json({
+        error: true,
+        message: 'Access tokens are only available for Git projects'
+      });
+    }
+
+    const before = auditService.snapshot(project);
+    await project.update({ git_access_token: token.trim() });
+
+    await auditService.log(req, 'project.access_token_set', {
+      entityType: 'project',
+      entityId: project.id,
+      before,
+      after: auditService.snapshot(project)
+    });
+
+    res.json({
+      success: true,
+      message: 'Access token saved',
+      data: { set: true }
+    });
+  } catch (error) {
+    console.error('Save access token error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to save access token'
+    });
+  }
+});
+
+// Remove the stored access token
+router.delete('/:id/access-token', requireRole('admin'), async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const before = auditService.snapshot(project);
+    await project.update({ git_access_token: null });
+
+    await auditService.log(req, 'project.access_token_remove', {
+      entityType: 'project',
+      entityId: project.id,
+      before,
+      after: auditService.snapshot(project)
+    });
+
+    res.json({
+      success: true,
+      message: 'Access token removed'
+    });
+  } catch (error) {
+    console.error('Remove access token error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to remove access token'
+    });
+  }
+});
+
+const getWebhookUrl = (req, project) => `${req.protocol}://${req.get('host')}/api/webhooks/${project.id}`;
+
+// Get webhook configuration for a project
+router.get('/:id/webhook', async (req, res) => {
+  try {
+    const project = await Project.scope('withSecrets').findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(project.webhook_secret),
+        url: getWebhookUrl(req, project),
+        branch: project.branch
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch webhook'
+    });
+  }
+});
+
+// Enable the webhook or rotate its secret. The secret is only shown in this response.
+router.post('/:id/webhook', requireRole('admin'), async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    if (project.source_type !== 'github') {
+      return res.status(400).json({
+        error: true,
+        message: 'Webhooks are only available for Git projects'
+      });
+    }
+
+    const secret = webhookService.generateSecret();
+    const before = auditService.snapshot(project);
+    await project.update({ webhook_secret: secret });
+
+    await auditService.log(req, 'project.webhook_enable', {
+      entityType: 'project',
+      entityId: project.id,
+      before,
+      after: auditService.snapshot(project)
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook secret generated',
+      data: {
+        enabled: true,
+        url: getWebhookUrl(req, project),
+        secret,
+        branch: project.branch
+      }
+    });
+  } catch (error) {
+    console.error('Generate webhook error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to generate webhook secret'
+    });
+  }
+});
+
+// Disable the webhook
+router.delete('/:id/webhook', requireRole('admin'), async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const before = auditService.snapshot(project);
+    await project.update({ webhook_secret: null });
+
+    await auditService.log(req, 'project.webhook_disable', {
+      entityType: 'project',
+      entityId: project.id,
+      before,
+      after: auditService.snapshot(project)
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook disabled'
+    });
+  } catch (error) {
+    console.error('Disable webhook error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to disable webhook'
+    });
+  }
+});
+
+// Get webhook delivery log for a project
+router.get('/:id/webhook/deliveries', async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const deliveries = await WebhookDelivery.findAll({
+      where: { project_id: project.id },
+      order: [['createdAt', 'DESC']],
+      limit: 100
+    });
+
+    res.json({
+      success: true,
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+// List a project's environment variables. Values are masked.
+router.get('/:id/env', async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const envVars = await ProjectEnvVar.findAll({
+      where: { project_id: project.id },
+      order: [['key', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: envVars
+    });
+  } catch (error) {
+    console.error('Get environment variables error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch environment variables'
+    });
+  }
+});
+
+// Create or replace an environment variable. Applied on the next deployment.
+router.put('/:id/env/:key', requireRole('admin'), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { value } = req.body;
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key) || key.length > 128) {
+      return res.status(400).json({
+        error: true,
+        message: 'Keys must start with a letter or underscore and contain only letters, digits and underscores'
+      });
+    }
+
+    if (typeof value !== 'string' || value.includes('\0')) {
+      return res.status(400).json({
+        error: true,
+        message: 'Value must be a string'
+      });
+    }
+
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const existing = await ProjectEnvVar.findOne({ where: { project_id: project.id, key } });
+    const envVar = existing
+      ? await existing.update({ value })
+      : await ProjectEnvVar.create({ project_id: project.id, key, value });
+
+    await auditService.log(req, existing ? 'project.env_update' : 'project.env_create', {
+      entityType: 'project',
+      entityId: project.id,
+      details: { key }
+    });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: 'Environment variable saved',
+      data: envVar
+    });
+  } catch (error) {
+    console.error('Save environment variable error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to save environment variable'
+    });
+  }
+});
+
+// Delete an environment variable
+router.delete('/:id/env/:key', requireRole('admin'), async (req, res) => {
+  try {
+    const envVar = await ProjectEnvVar.findOne({
+      where: { project_id: req.params.id, key: req.params.key }
+    });
+
+    if (!envVar) {
+      return res.status(404).json({
+        error: true,
+        message: 'Environment variable not found'
+      });
+    }
+
+    await envVar.destroy();
+
+    await auditService.log(req, 'project.env_delete', {
+      entityType: 'project',
+      entityId: envVar.project_id,
+      details: { key: envVar.key }
+    });
+
+    res.json({
+      success: true,
+      message: 'Environment variable deleted'
+    });
+  } catch (error) {
+    console.error('Delete environment variable error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to delete environment variable'
+    });
+  }
+});
+
+// Get deployment history for a project
+router.get('/:id/deployments', async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: true,
+        message: 'Project not found'
+      });
+    }
+
+    const deployments = await Deployment.findAll({
+      where: { project_id: project.id },
+      attributes: { exclude: ['steps'] },
+      include: [{
+        association: 'user',
+        attributes: ['id', 'username']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: deployments
+    });
+  } catch (error) {
+    console.error('Get deployments error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch deployments'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const deploymentQueue = require('../services/deploymentQueue');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Get queued and running deployments
+router.get('/', async (req, res) => {
+  try {
+    const deployments = await deploymentQueue.list();
+
+    res.json({
+      success: true,
+      data: {
+        running: deployments.filter(deployment => deployment.status === 'running'),
+        queued: deployments.filter(deployment => deployment.status === 'queued')
+      }
+    });
+  } catch (error) {
+    console.error('Get queue error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch queue'
+    });
+  }
+});
+
+module.exports = router;
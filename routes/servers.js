@@ -1,7 +1,12 @@
 const express = require('express');
-const { Server } = require('../models');
+const { Op } = require('sequelize');
+const { Server, ServerMetric } = require('../models');
 const authMiddleware = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
 const { NodeSSH } = require('node-ssh');
+const sshService = require('../services/sshService');
+const auditService = require('../services/auditService');
+const { parseRange } = require('../utils/dateRange');
 
 const router = express.Router();
 
@@ -56,7 +61,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create server
-router.post('/', async (req, res) => {
+router.post('/', requireRole('admin'), async (req, res) => {
   try {
     const {
       name,
@@ -67,7 +72,8 @@ router.post('/', async (req, res) => {
       ssh_private_key,
       cpu_info,
       ram_info,
-      storage_info
+      storage_info,
+      max_concurrent_deployments
     } = req.body;
 
     // Validate required fields
@@ -95,9 +101,16 @@ router.post('/', async (req, res) => {
       cpu_info,
       ram_info,
       storage_info,
+      max_concurrent_deployments,
       status: 'offline'
     });
 
+    await auditService.log(req, 'server.create', {
+      entityType: 'server',
+      entityId: server.id,
+      after: auditService.snapshot(server)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Server created successfully',
@@ -113,7 +126,7 @@ router.post('/', async (req, res) => {
 });
 
 // Update server
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('admin'), async (req, res) => {
   try {
     const server = await Server.findByPk(req.params.id);
     
@@ -133,19 +146,38 @@ router.put('/:id', async (req, res) => {
       ssh_private_key,
       cpu_info,
       ram_info,
-      storage_info
+      storage_info,
+      max_concurrent_deployments
     } = req.body;
 
-    await server.update({
+    const updates = {
       name: name || server.name,
       ip_address: ip_address || server.ip_address,
       ssh_port: ssh_port || server.ssh_port,
       ssh_username: ssh_username || server.ssh_username,
-      ssh_password: ssh_password || server.ssh_password,
-      ssh_private_key: ssh_private_key || server.ssh_private_key,
       cpu_info: cpu_info || server.cpu_info,
       ram_info: ram_info || server.ram_info,
-      storage_info: storage_info || server.storage_info
+      storage_info: storage_info || server.storage_info,
+      max_concurrent_deployments: max_concurrent_deployments || server.max_concurrent_deployments
+    };
+
+    // Stored credentials are never loaded here - a new one replaces the other kind
+    if (ssh_password) {
+      updates.ssh_password = ssh_password;
+      updates.ssh_private_key = null;
+    } else if (ssh_private_key) {
+      updates.ssh_private_key = ssh_private_key;
+      updates.ssh_password = null;
+    }
+
+    const before = auditService.snapshot(server);
+    await server.update(updates);
+
+    await auditService.log(req, 'server.update', {
+      entityType: 'server',
+      entityId: server.id,
+      before,
+      after: auditService.snapshot(server)
     });
 
     res.json({
@@ -163,7 +195,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete server
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('admin'), async (req, res) => {
   try {
     const server = await Server.findByPk(req.params.id);
     
@@ -185,6 +217,12 @@ router.delete('/:id', async (req, res) => {
 
     await server.destroy();
 
+    await auditService.log(req, 'server.delete', {
+      entityType: 'server',
+      entityId: server.id,
+      before: auditService.snapshot(server)
+    });
+
     res.json({
       success: true,
       message: 'Server deleted successfully'
@@ -199,11 +237,11 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Test SSH connection
-router.post('/:id/test', async (req, res) => {
+router.post('/:id/test', requireRole('admin'), async (req, res) => {
   const ssh = new NodeSSH();
   
   try {
-    const server = await Server.findByPk(req.params.id);
+    const server = await Server.scope('withCredentials').findByPk(req.params.id);
     
     if (!server) {
       return res.status(404).json({
@@ -212,21 +250,10 @@ router.post('/:id/test', async (req, res) => {
       });
     }
 
-    // Build SSH config
-    const sshConfig = {
-      host: server.ip_address,
-      port: server.ssh_port,
-      username: server.ssh_username
-    };
-
-    if (server.ssh_password) {
-      sshConfig.password = server.ssh_password;
-    } else if (server.ssh_private_key) {
-      sshConfig.privateKey = server.ssh_private_key;
-    }
+    const before = auditService.snapshot(server);
 
-    // Try to connect
-    await ssh.connect(sshConfig);
+    // Try to connect - pins the host key on first success
+    const hostKey = await sshService.connect(ssh, server, { trustOnFirstUse: true });
 
     // Get system info
     const result = await ssh.execCommand('uname -a && uptime');
@@ -239,12 +266,21 @@ router.post('/:id/test', async (req, res) => {
 
     ssh.dispose();
 
+    await auditService.log(req, 'server.test', {
+      entityType: 'server',
+      entityId: server.id,
+      before,
+      after: auditService.snapshot(server),
+      details: { success: true }
+    });
+
     res.json({
       success: true,
       message: 'Connection successful',
       data: {
         status: 'online',
-        systemInfo: result.stdout
+        systemInfo: result.stdout,
+        hostKey
       }
     });
   } catch (error) {
@@ -253,19 +289,210 @@ router.post('/:id/test', async (req, res) => {
     // Update server status to error
     const server = await Server.findByPk(req.params.id);
     if (server) {
+      const before = auditService.snapshot(server);
       await server.update({
         status: 'error',
         last_checked: new Date()
       });
+
+      await auditService.log(req, 'server.test', {
+        entityType: 'server',
+        entityId: server.id,
+        before,
+        after: auditService.snapshot(server),
+        details: { success: false, error: error.message }
+      });
     }
 
     if (ssh) {
       ssh.dispose();
     }
 
+    res.status(error.status || 500).json({
+      error: true,
+      message: 'Connection failed: ' + error.message,
+      ...(error.presented && { presentedHostKey: error.presented })
+    });
+  }
+});
+
+// Get metric history for a server (defaults to the last 24 hours)
+router.get('/:id/metrics', async (req, res) => {
+  try {
+    const server = await Server.findByPk(req.params.id);
+
+    if (!server) {
+      return res.status(404).json({
+        error: true,
+        message: 'Server not found'
+      });
+    }
+
+    const range = parseRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid from or to date'
+      });
+    }
+
+    const metrics = await ServerMetric.findAll({
+      where: {
+        server_id: server.id,
+        checked_at: { [Op.between]: [range.from, range.to] }
+      },
+      order: [['checked_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: metrics
+    });
+  } catch (error) {
+    console.error('Get server metrics error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch server metrics'
+    });
+  }
+});
+
+// View the pinned host key alongside the key the server presents now
+router.get('/:id/host-key', async (req, res) => {
+  try {
+    const server = await Server.findByPk(req.params.id);
+
+    if (!server) {
+      return res.status(404).json({
+        error: true,
+        message: 'Server not found'
+      });
+    }
+
+    let presented = null;
+    let fetchError = null;
+    try {
+      presented = await sshService.fetchHostKey(server);
+    } catch (error) {
+      fetchError = error.message;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        pinned: server.host_key_fingerprint ? {
+          fingerprint: server.host_key_fingerprint,
+          type: server.host_key_type,
+          pinned_at: server.host_key_pinned_at
+        } : null,
+        presented,
+        matches: Boolean(presented && presented.fingerprint === server.host_key_fingerprint),
+        error: fetchError
+      }
+    });
+  } catch (error) {
+    console.error('Get host key error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch host key'
+    });
+  }
+});
+
+// Approve the key the server presents now (re-approve or rotate after a rebuild).
+// The caller must echo the fingerprint they verified out of band.
+router.put('/:id/host-key', requireRole('admin'), async (req, res) => {
+  try {
+    const { fingerprint } = req.body;
+
+    if (!fingerprint) {
+      return res.status(400).json({
+        error: true,
+        message: 'Fingerprint is required'
+      });
+    }
+
+    const server = await Server.findByPk(req.params.id);
+
+    if (!server) {
+      return res.status(404).json({
+        error: true,
+        message: 'Server not found'
+      });
+    }
+
+    const presented = await sshService.fetchHostKey(server);
+
+    if (presented.fingerprint !== fingerprint) {
+      return res.status(409).json({
+        error: true,
+        message: `Fingerprint does not match the key presented by the server (${presented.fingerprint})`
+      });
+    }
+
+    const before = auditService.snapshot(server);
+    await sshService.pinHostKey(server, presented);
+
+    await auditService.log(req, 'server.host_key_pin', {
+      entityType: 'server',
+      entityId: server.id,
+      before,
+      after: auditService.snapshot(server)
+    });
+
+    res.json({
+      success: true,
+      message: 'Host key pinned successfully',
+      data: {
+        fingerprint: server.host_key_fingerprint,
+        type: server.host_key_type,
+        pinned_at: server.host_key_pinned_at
+      }
+    });
+  } catch (error) {
+    console.error('Pin host key error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to pin host key: ' + error.message
+    });
+  }
+});
+
+// Forget the pinned host key - the next connection test pins a new one
+router.delete('/:id/host-key', requireRole('admin'), async (req, res) => {
+  try {
+    const server = await Server.findByPk(req.params.id);
+
+    if (!server) {
+      return res.status(404).json({
+        error: true,
+        message: 'Server not found'
+      });
+    }
+
+    const before = auditService.snapshot(server);
+    await server.update({
+      host_key_fingerprint: null,
+      host_key_type: null,
+      host_key_pinned_at: null
+    });
+
+    await auditService.log(req, 'server.host_key_clear', {
+      entityType: 'server',
+      entityId: server.id,
+      before,
+      after: auditService.snapshot(server)
+    });
+
+    res.json({
+      success: true,
+      message: 'Host key cleared'
+    });
+  } catch (error) {
+    console.error('Clear host key error:', error);
     res.status(500).json({
       error: true,
-      message: 'Connection failed: ' + error.message
+      message: 'Failed to clear host key'
     });
   }
 });
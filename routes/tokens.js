@@ -0,0 +1,134 @@
+const express = require('express');
+const { ApiToken } = require('../models');
+const authMiddleware = require('../middleware/auth');
+const apiTokenService = require('../services/apiTokenService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+const MAX_EXPIRY_DAYS = 3650;
+
+// Get the current user's API tokens
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await ApiToken.findAll({
+      where: { user_id: req.user.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch API tokens'
+    });
+  }
+});
+
+// Create an API token. The token is only shown in this response.
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expires_in_days } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        error: true,
+        message: 'Name is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => apiTokenService.isValidScope(scope))) {
+      return res.status(400).json({
+        error: true,
+        message: 'Scopes must be a non-empty list of: read, deploy:project:<id>, deploy:project:*'
+      });
+    }
+
+    let expiresAt = null;
+    if (expires_in_days !== undefined && expires_in_days !== null) {
+      const days = Number(expires_in_days);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({
+          error: true,
+          message: `expires_in_days must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const generated = apiTokenService.generate();
+    const apiToken = await ApiToken.create({
+      user_id: req.user.id,
+      name: name.trim(),
+      token_prefix: generated.prefix,
+      token_hash: generated.hash,
+      scopes: [...new Set(scopes)],
+      expires_at: expiresAt
+    });
+
+    await auditService.log(req, 'api_token.create', {
+      entityType: 'api_token',
+      entityId: apiToken.id,
+      details: { name: apiToken.name, scopes: apiToken.scopes, expires_at: expiresAt }
+    });
+
+    const data = apiToken.toJSON();
+    delete data.token_hash;
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now - it will not be shown again.',
+      data: { ...data, token: generated.token }
+    });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to create API token'
+    });
+  }
+});
+
+// Revoke an API token
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOne({
+      where: { id: req.params.id, user_id: req.user.id }
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        error: true,
+        message: 'API token not found'
+      });
+    }
+
+    await apiToken.destroy();
+
+    await auditService.log(req, 'api_token.revoke', {
+      entityType: 'api_token',
+      entityId: apiToken.id,
+      details: { name: apiToken.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'API token revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to revoke API token'
+    });
+  }
+});
+
+module.exports = router;
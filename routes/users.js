@@ -0,0 +1,262 @@
+const express = require('express');
+const { User } = require('../models');
+const authMiddleware = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const auditService = require('../services/auditService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(authMiddleware);
+router.use(requireRole('admin'));
+
+const validateUserInput = ({ username, password, role }, { creating }) => {
+  if (creating && (!username || !password)) {
+    return 'Username and password are required';
+  }
+  if (username !== undefined && (typeof username !== 'string' || username.length < 3 || username.length > 50)) {
+    return 'Username must be 3-50 characters';
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < User.MIN_PASSWORD_LENGTH)) {
+    return `Password must be at least ${User.MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (role !== undefined && !User.ROLES.includes(role)) {
+    return `Role must be one of: ${User.ROLES.join(', ')}`;
+  }
+  return null;
+};
+
+// Refuse changes that would leave nobody able to administer
+const isLastAdmin = async (user) => {
+  if (user.role !== 'admin') {
+    return false;
+  }
+  return await User.count({ where: { role: 'admin' } }) === 1;
+};
+
+// Get all users
+router.get('/', async (req, res) => {
+  try {
+    const users = await User.findAll({
+      order: [['username', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch users'
+    });
+  }
+});
+
+// Get single user
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: true,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to fetch user'
+    });
+  }
+});
+
+// Create user. The initial password must be changed at first login unless
+// must_change_password is false.
+router.post('/', async (req, res) => {
+  try {
+    const { username, password, role = 'viewer', must_change_password = true } = req.body;
+
+    const validationError = validateUserInput({ username, password, role }, { creating: true });
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    if (await User.findOne({ where: { username } })) {
+      return res.status(409).json({
+        error: true,
+        message: 'Username already exists'
+      });
+    }
+
+    const user = await User.create({
+      username,
+      password,
+      role,
+      must_change_password: Boolean(must_change_password)
+    });
+
+    await auditService.log(req, 'user.create', {
+      entityType: 'user',
+      entityId: user.id,
+      after: auditService.snapshot(user)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to create user'
+    });
+  }
+});
+
+// Update user. Setting a password resets it and forces a change at next login;
+// disable_two_factor: true turns off 2FA for a user who lost their device.
+router.put('/:id', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: true,
+        message: 'User not found'
+      });
+    }
+
+    const { username, password, role } = req.body;
+
+    const validationError = validateUserInput({ username, password, role }, { creating: false });
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    if (username && username !== user.username && await User.findOne({ where: { username } })) {
+      return res.status(409).json({
+        error: true,
+        message: 'Username already exists'
+      });
+    }
+
+    if (role && role !== 'admin' && await isLastAdmin(user)) {
+      return res.status(409).json({
+        error: true,
+        message: 'Cannot remove the admin role from the last admin'
+      });
+    }
+
+    const updates = {};
+    if (username) {
+      updates.username = username;
+    }
+    if (role) {
+      updates.role = role;
+    }
+    if (password) {
+      updates.password = password;
+      updates.must_change_password = true;
+      updates.password_changed_at = new Date();
+    }
+
+    const before = auditService.snapshot(user);
+    await user.update(updates);
+
+    // A reset password ends the user's sessions
+    if (password) {
+      await sessionService.revokeAll(user, 'password_change');
+    }
+
+    if (req.body.disable_two_factor === true && user.totp_enabled) {
+      await twoFactorService.disable(user);
+    }
+
+    await auditService.log(req, 'user.update', {
+      entityType: 'user',
+      entityId: user.id,
+      before,
+      after: auditService.snapshot(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to update user'
+    });
+  }
+});
+
+// Delete user
+router.delete('/:id', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: true,
+        message: 'User not found'
+      });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(409).json({
+        error: true,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (await isLastAdmin(user)) {
+      return res.status(409).json({
+        error: true,
+        message: 'Cannot delete the last admin'
+      });
+    }
+
+    await user.destroy();
+
+    await auditService.log(req, 'user.delete', {
+      entityType: 'user',
+      entityId: user.id,
+      before: auditService.snapshot(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to delete user'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const { Project, Server, WebhookDelivery } = require('../models');
+const deploymentQueue = require('../services/deploymentQueue');
+const webhookService = require('../services/webhookService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+// Public push webhook - authenticated by the per-project secret
+router.post('/:projectId', async (req, res) => {
+  const delivery = webhookService.parseDelivery(req);
+
+  const log = async (status, reason, extra = {}) => {
+    try {
+      await WebhookDelivery.create({
+        project_id: extra.projectId || null,
+        provider: delivery.provider,
+        event: delivery.event,
+        delivery_id: delivery.deliveryId,
+        ref: delivery.ref,
+        commit: delivery.commit,
+        status,
+        reason,
+        ip_address: req.ip,
+        deployment_id: extra.deploymentId || null
+      });
+    } catch (error) {
+      console.error('Failed to log webhook delivery:', error);
+    }
+  };
+
+  try {
+    const project = await Project.scope('withSecrets').findByPk(req.params.projectId, {
+      include: [{ model: Server, as: 'server' }]
+    });
+
+    if (!project || !project.webhook_secret) {
+      await log('rejected', 'Unknown project or webhook not enabled');
+      return res.status(404).json({
+        error: true,
+        message: 'Webhook not found'
+      });
+    }
+
+    const projectId = project.id;
+
+    if (!webhookService.verifySignature(delivery.provider, req, project.getSecret('webhook_secret'))) {
+      await log('rejected', 'Invalid signature', { projectId });
+      return res.status(401).json({
+        error: true,
+        message: 'Invalid signature'
+      });
+    }
+
+    if (delivery.isPing) {
+      await log('ignored', 'Ping event', { projectId });
+      return res.json({
+        success: true,
+        message: 'pong'
+      });
+    }
+
+    if (!delivery.isPush) {
+      await log('ignored', `Unsupported event: ${delivery.event}`, { projectId });
+      return res.status(202).json({
+        success: true,
+        message: 'Event ignored'
+      });
+    }
+
+    if (project.source_type !== 'github' || !webhookService.matchesRepository(project, delivery.repoUrls)) {
+      await log('rejected', 'Repository does not match project source', { projectId });
+      return res.status(400).json({
+        error: true,
+        message: 'Repository does not match project source'
+      });
+    }
+
+    if (delivery.isBranchDeletion) {
+      await log('ignored', `Push deleted ${delivery.ref}`, { projectId });
+      return res.status(202).json({
+        success: true,
+        message: 'Push ignored: branch was deleted'
+      });
+    }
+
+    if (!webhookService.isTrackedBranch(project, delivery)) {
+      await log('ignored', `Push to untracked ref ${delivery.ref}`, { projectId });
+      return res.status(202).json({
+        success: true,
+        message: 'Push ignored: branch is not deployed'
+      });
+    }
+
+    if (project.server.status === 'offline') {
+      await log('rejected', 'Server is offline', { projectId });
+      return res.status(503).json({
+        error: true,
+        message: 'Server is offline'
+      });
+    }
+
+    const deployment = await deploymentQueue.enqueue(project, null, { trigger: 'webhook' });
+    await log('accepted', null, { projectId, deploymentId: deployment.id });
+
+    await auditService.log(req, 'project.deploy', {
+      actor: null,
+      entityType: 'project',
+      entityId: project.id,
+      details: { deployment_id: deployment.id, trigger: 'webhook', commit: delivery.commit || null, delivery_id: delivery.deliveryId || null }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Deployment queued',
+      data: { deployment_id: deployment.id }
+    });
+  } catch (error) {
+    console.error('Webhook error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
+module.exports = router;
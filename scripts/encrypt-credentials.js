@@ -0,0 +1,92 @@
+// Encrypt plaintext secrets stored before encryption was added. Set
+// OLD_ENCRYPTION_KEY as well to re-encrypt every secret under a new
+// ENCRYPTION_KEY - all columns are rotated in one transaction, so a value the
+// old key cannot read leaves the database untouched.
+require('dotenv').config();
+const { sequelize, Server, Project, ProjectEnvVar, User, syncDatabase } = require('../models');
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+
+// Every column encrypted with ENCRYPTION_KEY
+const ENCRYPTED_COLUMNS = [
+  { label: 'server', model: Server.scope('withCredentials'), fields: ['ssh_password', 'ssh_private_key'] },
+  { label: 'project', model: Project.scope('withSecrets'), fields: ['webhook_secret', 'deploy_key_private', 'git_access_token'] },
+  { label: 'environment variable', model: ProjectEnvVar, fields: ['value'] },
+  { label: 'user', model: User, fields: ['totp_secret'] }
+];
+
+// The value encrypted under ENCRYPTION_KEY, or null if it already is
+const reencrypt = (value, oldKey) => {
+  if (!isEncrypted(value)) {
+    return encrypt(value);
+  }
+  if (!oldKey) {
+    return null;
+  }
+
+  try {
+    return encrypt(decrypt(value, oldKey));
+  } catch (error) {
+    // Rotated by an earlier run that failed part-way? Then the new key reads it.
+    decrypt(value);
+    return null;
+  }
+};
+
+const migrate = async () => {
+  await syncDatabase();
+
+  const oldKey = process.env.OLD_ENCRYPTION_KEY;
+
+  await sequelize.transaction(async (transaction) => {
+    for (const { label, model, fields } of ENCRYPTED_COLUMNS) {
+      const records = await model.findAll({ transaction });
+      let updated = 0;
+
+      for (const record of records) {
+        let changed = false;
+
+        for (const field of fields) {
+          const value = record.getDataValue(field);
+          if (!value) {
+            continue;
+          }
+
+          let encrypted;
+          try {
+            encrypted = reencrypt(value, oldKey);
+          } catch (error) {
+            throw new Error(`Cannot decrypt ${label} ${record.id} ${field} with OLD_ENCRYPTION_KEY or ENCRYPTION_KEY`);
+          }
+          if (encrypted) {
+            record.setDataValue(field, encrypted);
+            changed = true;
+          }
+        }
+
+        if (label === 'server') {
+          const credentialSet = record.ssh_password ? 'password' : record.ssh_private_key ? 'key' : null;
+          if (record.credential_set !== credentialSet) {
+            record.credential_set = credentialSet;
+            changed = true;
+          }
+        }
+
+        if (changed) {
+          // Values are already encrypted - skip the model hooks, and don't let
+          // validation of unrelated legacy columns block the migration
+          await record.save({ hooks: false, validate: false, transaction });
+          updated++;
+        }
+      }
+
+      console.log(`✅ Encrypted secrets for ${updated} of ${records.length} ${label}(s).`);
+    }
+  });
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Credential migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'wdt_';
+
+// What each scope lets a token call. Anything not listed is refused, so
+// tokens can never manage users, servers, project settings or other tokens.
+const SCOPE_RULES = [
+  { scope: () => 'read', methods: ['GET', 'HEAD'], path: /^\/api\// },
+  // Only grants what GET /stream already allows
+  { scope: () => 'read', methods: ['POST'], path: /^\/api\/deployments\/\d+\/stream-token$/ },
+  { scope: (match) => `deploy:project:${match[1]}`, methods: ['POST'], path: /^\/api\/projects\/(\d+)\/(deploy|rollback|artifacts)$/ }
+];
+
+class ApiTokenService {
+  // Returns the plaintext token (shown once) and what gets stored
+  generate() {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    return {
+      token,
+      prefix: token.slice(0, 12),
+      hash: this.hash(token)
+    };
+  }
+
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  // read, deploy:project:<id> or deploy:project:* (every project)
+  isValidScope(scope) {
+    return scope === 'read' || /^deploy:project:(\d+|\*)$/.test(scope);
+  }
+
+  // Whether a token holding these scopes may make this request
+  allows(scopes, method, requestPath) {
+    return SCOPE_RULES.some(rule => {
+      const match = requestPath.match(rule.path);
+      if (!match || !rule.methods.includes(method)) {
+        return false;
+      }
+
+      const required = rule.scope(match);
+      return scopes.includes(required) ||
+        (required.startsWith('deploy:project:') && scopes.includes('deploy:project:*'));
+    });
+  }
+}
+
+module.exports = new ApiTokenService();
@@ -0,0 +1,242 @@
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const tar = require('tar-stream');
+const yauzl = require('yauzl');
+const unbzip2 = require('unbzip2-stream');
+const { XzReadableStream } = require('xz-decompress');
+
+const MB = 1024 * 1024;
+const MAX_ENTRY_SIZE = (parseInt(process.env.UPLOAD_MAX_ENTRY_MB, 10) || 512) * MB;
+const MAX_UNPACKED_SIZE = (parseInt(process.env.UPLOAD_MAX_UNPACKED_MB, 10) || 2048) * MB;
+const MAX_ENTRIES = parseInt(process.env.UPLOAD_MAX_ENTRIES, 10) || 20000;
+
+// Only regular files and directories are extracted - links could point outside the release
+const ALLOWED_TAR_TYPES = ['file', 'contiguous-file', 'directory'];
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+class ArchiveService {
+  // Format from the file's magic bytes: zip, tar, tar.gz, tar.bz2, tar.xz,
+  // or file for anything else (deployed as a single file)
+  async detectFormat(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    const header = Buffer.alloc(512);
+
+    try {
+      await handle.read(header, 0, header.length, 0);
+    } finally {
+      await handle.close();
+    }
+
+    if (header.readUInt32BE(0) === 0x504b0304 || header.readUInt32BE(0) === 0x504b0506) {
+      return 'zip';
+    }
+    if (header[0] === 0x1f && header[1] === 0x8b) {
+      return 'tar.gz';
+    }
+    if (header.toString('latin1', 0, 3) === 'BZh') {
+      return 'tar.bz2';
+    }
+    if (header.subarray(0, 6).equals(Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]))) {
+      return 'tar.xz';
+    }
+    if (header.toString('latin1', 257, 262) === 'ustar') {
+      return 'tar';
+    }
+    return 'file';
+  }
+
+  // Name safe to store or copy a file under, from a client-supplied one
+  safeFileName(name) {
+    const safe = path.basename(String(name || '')).replace(/[^\w.-]/g, '_');
+    return !safe || /^\.+$/.test(safe) ? 'upload' : safe;
+  }
+
+  // Entry name relative to the archive root ('' for the root itself).
+  // Throws for names that would land outside the extraction directory.
+  normalizeEntry(name) {
+    if (name.includes('\\') || name.includes('\0')) {
+      throw new ArchiveError(`Archive entry ${JSON.stringify(name)} has an invalid name`);
+    }
+    if (name.startsWith('/') || /^[A-Za-z]:/.test(name)) {
+      throw new ArchiveError(`Archive entry ${name} has an absolute path`);
+    }
+
+    const segments = name.split('/').filter(segment => segment !== '' && segment !== '.');
+    if (segments.includes('..')) {
+      throw new ArchiveError(`Archive entry ${name} points outside the archive`);
+    }
+    return segments.join('/');
+  }
+
+  // Collects entries and enforces the count and size limits as they arrive
+  createCollector() {
+    const files = [];
+    let unpackedSize = 0;
+
+    return {
+      files,
+      add: (name, type, size) => {
+        const entryPath = this.normalizeEntry(name);
+        if (!entryPath) {
+          return;
+        }
+        if (files.length >= MAX_ENTRIES) {
+          throw new ArchiveError(`Archive has more than ${MAX_ENTRIES} entries`);
+        }
+        if (size > MAX_ENTRY_SIZE) {
+          throw new ArchiveError(`Archive entry ${entryPath} is larger than ${MAX_ENTRY_SIZE / MB} MB`);
+        }
+
+        unpackedSize += size;
+        if (unpackedSize > MAX_UNPACKED_SIZE) {
+          throw new ArchiveError(`Archive unpacks to more than ${MAX_UNPACKED_SIZE / MB} MB`);
+        }
+        files.push({ path: entryPath, type, size });
+      },
+      getUnpackedSize: () => unpackedSize
+    };
+  }
+
+  openTarStream(filePath, format) {
+    const input = fs.createReadStream(filePath);
+
+    switch (format) {
+      case 'tar.gz':
+        return input.pipe(zlib.createGunzip());
+      case 'tar.bz2':
+        return input.pipe(unbzip2());
+      case 'tar.xz':
+        return Readable.fromWeb(new XzReadableStream(Readable.toWeb(input)));
+      default:
+        return input;
+    }
+  }
+
+  listTar(filePath, format, collector) {
+    return new Promise((resolve, reject) => {
+      const source = this.openTarStream(filePath, format);
+      const extract = tar.extract();
+
+      const fail = (error) => {
+        source.destroy();
+        extract.destroy();
+        reject(error instanceof ArchiveError
+          ? error
+          : new ArchiveError(format === 'tar' ? `Invalid tar archive: ${error.message}` : `${format} file does not contain a valid tar archive: ${error.message}`));
+      };
+
+      extract.on('entry', (header, stream, next) => {
+        try {
+          if (!ALLOWED_TAR_TYPES.includes(header.type)) {
+            throw new ArchiveError(`Archive entry ${header.name} is a ${header.type}, only files and directories are allowed`);
+          }
+          collector.add(header.name, header.type === 'directory' ? 'directory' : 'file', header.size || 0);
+        } catch (error) {
+          return fail(error);
+        }
+
+        stream.on('end', next);
+        stream.resume();
+      });
+      extract.on('finish', resolve);
+      extract.on('error', fail);
+      source.on('error', fail);
+      source.pipe(extract);
+    });
+  }
+
+  // Entries are read through so a header that lies about its size is caught
+  listZip(filePath, collector) {
+    return new Promise((resolve, reject) => {
+      yauzl.open(filePath, { lazyEntries: true }, (openError, zip) => {
+        if (openError) {
+          return reject(new ArchiveError(`Invalid zip archive: ${openError.message}`));
+        }
+
+        const fail = (error) => {
+          zip.close();
+          reject(error instanceof ArchiveError ? error : new ArchiveError(`Invalid zip archive: ${error.message}`));
+        };
+
+        zip.on('entry', (entry) => {
+          const isDirectory = entry.fileName.endsWith('/');
+
+          try {
+            if (((entry.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK) {
+              throw new ArchiveError(`Archive entry ${entry.fileName} is a symlink, only files and directories are allowed`);
+            }
+            collector.add(entry.fileName, isDirectory ? 'directory' : 'file', entry.uncompressedSize);
+          } catch (error) {
+            return fail(error);
+          }
+
+          if (isDirectory) {
+            return zip.readEntry();
+          }
+          zip.openReadStream(entry, (streamError, stream) => {
+            if (streamError) {
+              return fail(streamError);
+            }
+            stream.on('error', fail);
+            stream.on('end', () => zip.readEntry());
+            stream.resume();
+          });
+        });
+        zip.on('end', resolve);
+        zip.on('error', fail);
+        zip.readEntry();
+      });
+    });
+  }
+
+  // Single folder every entry sits in, e.g. "my-app-1.2.0", or null
+  getTopLevelDir(files) {
+    const roots = new Set(files.map(file => file.path.split('/')[0]));
+    if (roots.size !== 1) {
+      return null;
+    }
+
+    const [root] = roots;
+    const rootIsFile = files.some(file => file.path === root && file.type !== 'directory');
+    return rootIsFile ? null : root;
+  }
+
+  // Inspect an upload before it is stored. Returns { format, files, file_count,
+  // unpacked_size, top_level_dir }; throws ArchiveError for anything unsafe.
+  // name is the client's file name, used for uploads that are not archives.
+  async inspect(filePath, { name } = {}) {
+    const format = await this.detectFormat(filePath);
+    const collector = this.createCollector();
+
+    if (format === 'zip') {
+      await this.listZip(filePath, collector);
+    } else if (format === 'file') {
+      const { size } = await fs.promises.stat(filePath);
+      collector.add(this.safeFileName(name || filePath), 'file', size);
+    } else {
+      await this.listTar(filePath, format, collector);
+    }
+
+    const files = collector.files;
+    return {
+      format,
+      files,
+      file_count: files.filter(file => file.type === 'file').length,
+      unpacked_size: collector.getUnpackedSize(),
+      top_level_dir: format === 'file' ? null : this.getTopLevelDir(files)
+    };
+  }
+}
+
+module.exports = new ArchiveService();
+module.exports.ArchiveError = ArchiveError;
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { createReadStream } = require('fs');
+const fs = require('fs').promises;
+const { Deployment, ProjectArtifact } = require('../models');
+
+class ArtifactService {
+  // SHA-256 of a file, streamed so large archives never sit in memory
+  checksum(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  async removeFile(filePath) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to delete artifact ${filePath}:`, error);
+      }
+    }
+  }
+
+  // Record a multer upload as the project's next version and make it the
+  // project's current source, then apply retention. archive is the upload's
+  // archiveService.inspect() result plus strip_top_level.
+  async create(project, file, { userId = null, notes = null, archive = null } = {}) {
+    const sha256 = await this.checksum(file.path);
+    const latestVersion = await ProjectArtifact.max('version', { where: { project_id: project.id } });
+
+    const artifact = await ProjectArtifact.create({
+      project_id: project.id,
+      version: (latestVersion || 0) + 1,
+      file_path: file.path,
+      original_name: file.originalname,
+      size: file.size,
+      sha256,
+      uploaded_by: userId,
+      notes: notes || null,
+      format: archive ? archive.format : null,
+      file_count: archive ? archive.file_count : null,
+      unpacked_size: archive ? archive.unpacked_size : null,
+      top_level_dir: archive ? archive.top_level_dir : null,
+      strip_top_level: archive ? Boolean(archive.strip_top_level) : false
+    });
+
+    await project.update({ source_path: file.path });
+    await this.expire(project);
+
+    return artifact;
+  }
+
+  async latest(project) {
+    return ProjectArtifact.findOne({
+      where: { project_id: project.id, expired_at: null },
+      order: [['version', 'DESC']]
+    });
+  }
+
+  // An artifact of this project whose file is still kept
+  async findAvailable(project, artifactId) {
+    return ProjectArtifact.findOne({
+      where: { id: artifactId, project_id: project.id, expired_at: null }
+    });
+  }
+
+  // Delete files beyond the project's newest artifact_retention versions. The
+  // records stay, marked expired. Versions a queued or running deployment
+  // still needs are kept until a later pass.
+  async expire(project) {
+    const artifacts = await ProjectArtifact.findAll({
+      where: { project_id: project.id, expired_at: null },
+      order: [['version', 'DESC']]
+    });
+    const candidates = artifacts.slice(project.artifact_retention || 5);
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const pending = await Deployment.findAll({
+      where: {
+        artifact_id: candidates.map(artifact => artifact.id),
+        status: ['queued', 'running']
+      },
+      attributes: ['artifact_id']
+    });
+    const inUse = new Set(pending.map(deployment => deployment.artifact_id));
+
+    const expired = candidates.filter(artifact => !inUse.has(artifact.id));
+    for (const artifact of expired) {
+      await this.removeFile(artifact.file_path);
+      await artifact.update({ expired_at: new Date() });
+    }
+
+    if (expired.length > 0) {
+      console.log(`Expired ${expired.length} artifact(s) of project ${project.name}`);
+    }
+    return expired;
+  }
+
+  // Delete every stored file of a project that is about to be removed
+  async removeAll(project) {
+    const artifacts = await ProjectArtifact.findAll({
+      where: { project_id: project.id, expired_at: null }
+    });
+    const files = new Set(artifacts.map(artifact => artifact.file_path));
+    if (project.source_path) {
+      files.add(project.source_path);
+    }
+
+    for (const filePath of files) {
+      await this.removeFile(filePath);
+    }
+  }
+}
+
+module.exports = new ArtifactService();
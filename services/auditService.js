@@ -0,0 +1,85 @@
+const { AuditLog } = require('../models');
+
+// Attributes whose values never reach the log - only the fact they changed
+const REDACTED_FIELDS = [
+  'password',
+  'ssh_password',
+  'ssh_private_key',
+  'webhook_secret',
+  'deploy_key_private',
+  'git_access_token',
+  'totp_secret',
+  'totp_recovery_codes'
+];
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+const REDACTED = '[redacted]';
+
+class AuditService {
+  // Copy of an instance's own attributes. Take it before update() mutates the instance.
+  snapshot(instance) {
+    if (!instance) {
+      return null;
+    }
+
+    const values = instance.get({ plain: true });
+    const snapshot = {};
+    Object.keys(instance.constructor.rawAttributes).forEach(field => {
+      if (values[field] !== undefined) {
+        snapshot[field] = values[field];
+      }
+    });
+    return snapshot;
+  }
+
+  redact(field, value) {
+    return REDACTED_FIELDS.includes(field) && value !== null && value !== undefined ? REDACTED : value;
+  }
+
+  // Field-level { field: { from, to } } diff. Either side may be null for creates and deletes.
+  diff(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    fields.forEach(field => {
+      if (IGNORED_FIELDS.includes(field)) {
+        return;
+      }
+
+      const from = before && before[field] !== undefined ? before[field] : null;
+      const to = after && after[field] !== undefined ? after[field] : null;
+      if (JSON.stringify(from) === JSON.stringify(to)) {
+        return;
+      }
+
+      changes[field] = {
+        from: this.redact(field, from),
+        to: this.redact(field, to)
+      };
+    });
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  // Record an action by req.user (or options.actor when nobody is signed in).
+  // Never throws - a failed audit write must not fail the request it describes.
+  async log(req, action, { entityType = null, entityId = null, before = null, after = null, details = null, actor } = {}) {
+    const user = actor !== undefined ? actor : req.user;
+
+    try {
+      await AuditLog.create({
+        user_id: user ? user.id || null : null,
+        username: user ? user.username : null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId,
+        ip_address: req.ip,
+        changes: before || after ? this.diff(before, after) : null,
+        details
+      });
+    } catch (error) {
+      console.error(`Audit log write failed for ${action}:`, error);
+    }
+  }
+}
+
+module.exports = new AuditService();
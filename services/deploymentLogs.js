@@ -0,0 +1,66 @@
+const { EventEmitter } = require('events');
+
+// How long finished deployment output stays in memory for late subscribers
+const RETENTION_MS = 10 * 60 * 1000;
+
+class DeploymentLogs {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.buffers = new Map();
+  }
+
+  open(deploymentId) {
+    this.buffers.set(deploymentId, { events: [], finished: false });
+  }
+
+  has(deploymentId) {
+    return this.buffers.has(deploymentId);
+  }
+
+  push(deploymentId, type, data = {}) {
+    const buffer = this.buffers.get(deploymentId);
+    if (!buffer || buffer.finished) {
+      return;
+    }
+
+    const event = {
+      type,
+      ...data,
+      timestamp: new Date().toISOString()
+    };
+
+    buffer.events.push(event);
+    this.emitter.emit(String(deploymentId), event);
+  }
+
+  close(deploymentId, status) {
+    this.push(deploymentId, 'end', { status });
+
+    const buffer = this.buffers.get(deploymentId);
+    if (buffer) {
+      buffer.finished = true;
+      setTimeout(() => this.buffers.delete(deploymentId), RETENTION_MS).unref();
+    }
+  }
+
+  // Replay buffered output, then forward live events until unsubscribed
+  subscribe(deploymentId, listener) {
+    const buffer = this.buffers.get(deploymentId);
+    if (!buffer) {
+      return () => {};
+    }
+
+    buffer.events.forEach(listener);
+
+    if (buffer.finished) {
+      return () => {};
+    }
+
+    const channel = String(deploymentId);
+    this.emitter.on(channel, listener);
+    return () => this.emitter.removeListener(channel, listener);
+  }
+}
+
+module.exports = new DeploymentLogs();
@@ -0,0 +1,174 @@
+const { Op } = require('sequelize');
+const { Deployment, Project, Server } = require('../models');
+const deploymentService = require('./deploymentService');
+const deploymentLogs = require('./deploymentLogs');
+
+class DeploymentQueue {
+  constructor() {
+    this.processing = false;
+    this.pending = false;
+  }
+
+  // Persist a queued deployment and start it as soon as limits allow.
+  // Passing options.backup or options.release rolls back instead of deploying;
+  // options.ref deploys a branch, tag or SHA instead of the project's branch;
+  // options.artifactId picks the uploaded version for upload projects;
+  // options.trigger records what started it (manual or webhook).
+  async enqueue(project, userId, options = {}) {
+    const type = options.backup || options.release ? 'rollback' : 'deploy';
+
+    // A deploy of the same ref (or artifact) already waiting covers this request
+    if (type === 'deploy') {
+      const waiting = await Deployment.findOne({
+        where: {
+          project_id: project.id,
+          type: 'deploy',
+          status: 'queued',
+          ref: options.ref || null,
+          artifact_id: options.artifactId || null
+        }
+      });
+
+      if (waiting) {
+        return waiting;
+      }
+    }
+
+    const deployment = await Deployment.create({
+      project_id: project.id,
+      server_id: project.server_id,
+      triggered_by: userId || null,
+      type,
+      trigger: options.trigger || 'manual',
+      ref: options.ref || null,
+      artifact_id: options.artifactId || null,
+      release: options.release || null,
+      backup_file: options.backup || null,
+      status: 'queued'
+    });
+
+    deploymentLogs.open(deployment.id);
+    deploymentLogs.push(deployment.id, 'queued');
+
+    await this.process();
+    return deployment;
+  }
+
+  // Start every queued deployment whose project is idle and whose server has a free slot
+  async process() {
+    // Coalesce concurrent calls into one more pass
+    if (this.processing) {
+      this.pending = true;
+      return;
+    }
+    this.processing = true;
+
+    try {
+      do {
+        this.pending = false;
+
+        const running = await Deployment.findAll({
+          where: { status: 'running' },
+          attributes: ['project_id', 'server_id']
+        });
+        const busyProjects = new Set(running.map(deployment => deployment.project_id));
+        const serverSlots = {};
+        running.forEach(deployment => {
+          serverSlots[deployment.server_id] = (serverSlots[deployment.server_id] || 0) + 1;
+        });
+
+        const queued = await Deployment.findAll({
+          where: { status: 'queued' },
+          include: [{ model: Server, as: 'server', attributes: ['id', 'max_concurrent_deployments'] }],
+          order: [['createdAt', 'ASC']]
+        });
+
+        for (const deployment of queued) {
+          const limit = deployment.server ? deployment.server.max_concurrent_deployments : 1;
+          if (busyProjects.has(deployment.project_id) || (serverSlots[deployment.server_id] || 0) >= limit) {
+            continue;
+          }
+
+          busyProjects.add(deployment.project_id);
+          serverSlots[deployment.server_id] = (serverSlots[deployment.server_id] || 0) + 1;
+
+          // Skip jobs cancelled since they were read
+          const startedAt = new Date();
+          const [started] = await Deployment.update(
+            { status: 'running', started_at: startedAt },
+            { where: { id: deployment.id, status: 'queued' } }
+          );
+          if (!started) {
+            busyProjects.delete(deployment.project_id);
+            serverSlots[deployment.server_id] -= 1;
+            continue;
+          }
+          deployment.set({ status: 'running', started_at: startedAt });
+
+          deploymentService.execute(deployment)
+            .catch(error => console.error('Deployment job error:', error))
+            .finally(() => this.process());
+        }
+      } while (this.pending);
+    } catch (error) {
+      console.error('Deployment queue error:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // On startup, fail jobs that were running when the process died and resume the queue
+  async recover() {
+    try {
+      const orphaned = await Deployment.findAll({ where: { status: 'running' } });
+
+      for (const deployment of orphaned) {
+        await deploymentService.finishDeployment(deployment, 'failed', 'Interrupted by a server restart');
+      }
+
+      await Project.update({ status: 'error' }, { where: { status: 'deploying' } });
+
+      const queued = await Deployment.findAll({ where: { status: 'queued' }, attributes: ['id'] });
+      queued.forEach(deployment => deploymentLogs.open(deployment.id));
+
+      if (orphaned.length > 0) {
+        console.log(`⚠️  Marked ${orphaned.length} interrupted deployment(s) as failed`);
+      }
+
+      await this.process();
+    } catch (error) {
+      console.error('❌ Deployment queue recovery failed:', error.message);
+    }
+  }
+
+  // Cancel a deployment that has not started. Returns false if it already left the queue.
+  async cancel(deployment) {
+    const [cancelled] = await Deployment.update(
+      { status: 'cancelled', finished_at: new Date(), error_message: 'Cancelled before it started' },
+      { where: { id: deployment.id, status: 'queued' } }
+    );
+
+    if (!cancelled) {
+      return false;
+    }
+
+    deploymentLogs.close(deployment.id, 'cancelled');
+    return true;
+  }
+
+  // Queued and running deployments, oldest first
+  async list() {
+    return Deployment.findAll({
+      where: { status: { [Op.in]: ['queued', 'running'] } },
+      attributes: { exclude: ['steps'] },
+      include: [
+        { model: Project, as: 'project', attributes: ['id', 'name'] },
+        { model: Server, as: 'server', attributes: ['id', 'name', 'max_concurrent_deployments'] },
+        { association: 'user', attributes: ['id', 'username'] }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+  }
+}
+
+module.exports = new DeploymentQueue();
@@ -2,191 +2,1245 @@ const { NodeSSH } = require('node-ssh');
 const path = require('path');
 const fs = require('fs').promises;
 const archiver = require('archiver');
+const { Deployment, Project, ProjectArtifact, ProjectEnvVar, Server } = require('../models');
+const archiveService = require('./archiveService');
+const artifactService = require('./artifactService');
+const deploymentLogs = require('./deploymentLogs');
+const manifestService = require('./manifestService');
+const { ManifestError } = manifestService;
+const sshService = require('./sshService');
+const vhostService = require('./vhostService');
+const { quote, raw, sh } = require('../utils/shell');
+
+const BACKUP_DIR = '/var/backups/webdeploy';
+
+// Releases, shared data and git checkouts. Deploy paths may not lie under
+// /var/lib, so nothing here is ever inside a served directory.
+const RELEASE_DIR = '/var/lib/webdeploy';
+
+// Seconds a command may run when the project does not say otherwise
+const DEFAULT_COMMAND_TIMEOUT = 1800;
+
+// Tail of stderr kept in a deployment's error message
+const ERROR_OUTPUT_LIMIT = 4000;
+
+// Tail of each command's stdout and stderr kept in the step history. Subscribers
+// see all of it live; the stored steps are re-saved after every command and
+// must stay well below MySQL's max_allowed_packet.
+const STEP_OUTPUT_LIMIT = 16000;
+
+const truncateOutput = (output) => output && output.length > STEP_OUTPUT_LIMIT
+  ? `[${output.length - STEP_OUTPUT_LIMIT} earlier characters omitted]\n${output.slice(-STEP_OUTPUT_LIMIT)}`
+  : output;
+
+// tar flags per archive format detected on upload
+const TAR_EXTRACT_FLAGS = {
+  tar: '-xf',
+  'tar.gz': '-xzf',
+  'tar.bz2': '-xjf',
+  'tar.xz': '-xJf'
+};
+
+// Web server binaries live in sbin, which is often missing from a non-root PATH
+const SBIN_PATH = raw('PATH="$PATH:/usr/local/sbin:/usr/sbin:/sbin"');
+
+class DeploymentCancelledError extends Error {
+  constructor() {
+    super('Deployment cancelled');
+    this.name = 'DeploymentCancelledError';
+  }
+}
+
+// A remote command exited non-zero (or timed out) under the abort policy, or
+// its output was unusable. failedStep is stored on the deployment for the API
+// and history. message, if given, replaces the generic summary.
+class CommandFailedError extends Error {
+  constructor(failedStep, message = null) {
+    const reason = failedStep.timed_out
+      ? `timed out after ${failedStep.timeout}s`
+      : `failed with exit code ${failedStep.code}`;
+    const stderr = failedStep.stderr ? `\n${failedStep.stderr.slice(-ERROR_OUTPUT_LIMIT)}` : '';
+
+    super(`${message || `${failedStep.step} ${reason}: ${failedStep.command}`}${stderr}`);
+    this.name = 'CommandFailedError';
+    this.failedStep = failedStep;
+  }
+}
 
 class DeploymentService {
-  async deploy(project) {
+  constructor() {
+    // In-flight runs by deployment id: SSH session, current channel and cancel state
+    this.active = new Map();
+  }
+
+  // Run a deployment record picked from the queue. The project is reloaded so
+  // jobs that waited (or survived a restart) see current settings.
+  async execute(deployment) {
+    this.active.set(deployment.id, {
+      ssh: null,
+      channel: null,
+      cancelled: false,
+      restoreBackup: false,
+      backupFile: null,
+      tempFiles: [],
+      commandTimeout: DEFAULT_COMMAND_TIMEOUT
+    });
+
+    try {
+      await this.executeTracked(deployment);
+    } finally {
+      this.active.delete(deployment.id);
+    }
+  }
+
+  async executeTracked(deployment) {
+    const project = await Project.scope('withSecrets').findByPk(deployment.project_id, {
+      include: [{ model: Server.scope('withCredentials'), as: 'server' }]
+    });
+
+    if (!deploymentLogs.has(deployment.id)) {
+      deploymentLogs.open(deployment.id);
+    }
+
+    if (!project) {
+      await this.finishDeployment(deployment, 'failed', 'Project no longer exists');
+      return;
+    }
+
+    // Rows saved before names and paths were validated never reach a shell
+    const unsafe = Project.getNameError(project.name) || Project.getDeployPathError(project.deploy_path);
+    if (unsafe) {
+      await this.finishDeployment(deployment, 'failed', unsafe);
+      return;
+    }
+
+    this.active.get(deployment.id).commandTimeout = project.command_timeout || DEFAULT_COMMAND_TIMEOUT;
+    await project.update({ status: 'deploying' });
+
+    try {
+      if (deployment.type === 'rollback') {
+        await this.rollback(project, deployment, {
+          backup: deployment.backup_file,
+          release: deployment.backup_file ? null : deployment.release
+        });
+      } else {
+        await this.deploy(project, deployment);
+      }
+
+      await project.update({ 
+        status: 'active',
+        last_deployment: new Date(),
+        deployed_revision: deployment.revision,
+        deployed_commit_message: deployment.commit_message
+      });
+    } catch (error) {
+      if (error instanceof DeploymentCancelledError) {
+        await project.update({ status: 'cancelled' });
+        return;
+      }
+      console.error('Deployment failed:', error);
+      await project.update({ status: 'error' });
+    }
+  }
+
+  // Stop a running deployment: kill the remote command and drop the connection.
+  // The run then unwinds through deploy(), which cleans up after itself.
+  // Returns false if the deployment is not running in this process.
+  cancel(deploymentId, { restoreBackup = false } = {}) {
+    const context = this.active.get(deploymentId);
+    if (!context || context.cancelled) {
+      return false;
+    }
+
+    context.cancelled = true;
+    context.restoreBackup = restoreBackup;
+    deploymentLogs.push(deploymentId, 'cancelling', { restoreBackup });
+
+    // timeout(1) passes TERM on to the command's whole process group
+    if (context.channel) {
+      try {
+        context.channel.signal('TERM');
+      } catch (error) {
+        // Channel already closed
+      }
+    }
+    if (context.ssh) {
+      context.ssh.dispose();
+    }
+
+    return true;
+  }
+
+  throwIfCancelled(deployment) {
+    const context = this.active.get(deployment.id);
+    if (context && context.cancelled) {
+      throw new DeploymentCancelledError();
+    }
+  }
+
+  async deploy(project, deployment) {
     const ssh = new NodeSSH();
+    const context = this.active.get(deployment.id);
+    let switched = false;
+    context.ssh = ssh;
     
     try {
       console.log(`Starting deployment for project: ${project.name}`);
       
       // Connect to server
-      await this.connectSSH(ssh, project.server);
+      await this.connectSSH(ssh, project.server, deployment);
+      
+      // Bring projects deployed in place into the release layout
+      await this.migrateLegacyRoot(ssh, project, deployment);
       
       // Create backup if project exists
-      await this.createBackup(ssh, project);
+      await this.createBackup(ssh, project, deployment);
+      
+      // Prepare a fresh release directory
+      await this.createRelease(ssh, project, deployment);
       
       // Deploy based on source type
       if (project.source_type === 'github') {
-        await this.deployFromGitHub(ssh, project);
+        await this.deployFromGitHub(ssh, project, deployment);
       } else if (project.source_type === 'upload') {
-        await this.deployFromUpload(ssh, project);
+        await this.deployFromUpload(ssh, project, deployment);
       }
       
-      // Execute project type specific commands
-      await this.executeProjectTypeCommands(ssh, project);
+      // Validate the release's webdeploy.yml before running anything from it
+      const releasePath = this.getPaths(project, deployment.release).release;
+      const manifest = await this.loadManifest(ssh, deployment, releasePath);
+      
+      // Link persistent shared data into the release
+      await this.linkSharedPaths(ssh, project, deployment);
+      
+      // Render the project's environment variables before anything builds
+      await this.writeEnvFile(ssh, project, deployment);
+      
+      // Build with the manifest's steps, or the project type's recipe
+      await this.executeProjectTypeCommands(ssh, project, deployment, manifest);
       
       // Execute custom commands if any
       if (project.custom_commands) {
-        await this.executeCustomCommands(ssh, project);
+        await this.executeCustomCommands(ssh, project, deployment);
+      }
+      
+      if (manifest) {
+        await this.runManifestSteps(ssh, project, deployment, manifest, 'pre_deploy', releasePath);
       }
       
+      // Point the project's domain at the release layout
+      await this.configureVirtualHost(ssh, project, deployment);
+      
+      // Go live only once every build step has succeeded
+      await this.switchRelease(ssh, project, deployment, deployment.release);
+      switched = true;
+      
+      await this.restartProject(ssh, project, deployment, manifest);
+      
+      if (manifest) {
+        await this.runManifestSteps(ssh, project, deployment, manifest, 'post_deploy', this.getPaths(project).current);
+      }
+      
+      await this.pruneReleases(ssh, project, deployment);
+      
       console.log(`Deployment completed for project: ${project.name}`);
       
       ssh.dispose();
+      await this.finishDeployment(deployment, 'success');
       return true;
     } catch (error) {
+      if (context.cancelled) {
+        console.log(`Deployment cancelled for project: ${project.name}`);
+        ssh.dispose();
+        await this.cleanUpCancelled(project, deployment, context, switched);
+        if (switched && !(context.restoreBackup && context.backupFile)) {
+          await this.recordLiveRevision(project, deployment);
+        }
+        await this.finishDeployment(deployment, 'cancelled', 'Cancelled by user');
+        throw new DeploymentCancelledError();
+      }
+
       console.error(`Deployment failed for project ${project.name}:`, error);
+      
+      // Discard the half-built release - the live one is untouched
+      if (deployment.release && !switched && ssh.isConnected()) {
+        await this.removeRelease(ssh, project, deployment).catch(() => {});
+      }
+      
+      // A restart or post_deploy step failed with the new release already
+      // live: the deployment failed, but the project runs this revision now
+      if (switched) {
+        await this.recordLiveRevision(project, deployment);
+        if (ssh.isConnected()) {
+          await this.pruneReleases(ssh, project, deployment).catch(() => {});
+        }
+      }
+      
+      if (ssh) {
+        ssh.dispose();
+      }
+      await this.finishDeployment(deployment, 'failed', error);
+      throw error;
+    }
+  }
+
+  // Reconnect after a cancel to remove what the run left behind. If the new release
+  // had already gone live, optionally restore the backup taken before it.
+  async cleanUpCancelled(project, deployment, context, switched) {
+    const ssh = new NodeSSH();
+
+    // The cancel has been handled - let the cleanup commands run
+    this.active.delete(deployment.id);
+
+    try {
+      await this.connectSSH(ssh, project.server, deployment);
+
+      if (context.tempFiles.length > 0) {
+        await this.run(ssh, deployment, 'cleanUpCancelled', sh`rm -f ${context.tempFiles}`);
+      }
+
+      if (deployment.release && !switched) {
+        await this.removeRelease(ssh, project, deployment);
+      } else if (switched && context.restoreBackup && context.backupFile) {
+        await this.restoreBackup(ssh, project, deployment, context.backupFile);
+        await this.restartProject(ssh, project, deployment);
+      }
+    } catch (error) {
+      console.error(`Cleanup after cancelling deployment ${deployment.id} failed:`, error);
+    } finally {
+      ssh.dispose();
+    }
+  }
+
+  // Roll back to a previous release (symlink flip) or restore a backup archive
+  async rollback(project, deployment, { backup, release }) {
+    const ssh = new NodeSSH();
+    const context = this.active.get(deployment.id);
+    let switched = false;
+    context.ssh = ssh;
+
+    try {
+      console.log(`Starting rollback for project: ${project.name} to ${backup || release}`);
+
+      await this.connectSSH(ssh, project.server, deployment);
+
+      if (backup) {
+        await this.restoreBackup(ssh, project, deployment, backup);
+      } else {
+        await this.activateRelease(ssh, project, deployment, release);
+      }
+      switched = true;
+
+      await this.restartProject(ssh, project, deployment);
+
+      console.log(`Rollback completed for project: ${project.name}`);
+
+      ssh.dispose();
+      await this.finishDeployment(deployment, 'success');
+      return true;
+    } catch (error) {
+      if (context.cancelled) {
+        console.log(`Rollback cancelled for project: ${project.name}`);
+        ssh.dispose();
+        // A restored backup gets a new release - drop it unless it went live
+        if (backup) {
+          await this.cleanUpCancelled(project, deployment, context, switched);
+        }
+        await this.finishDeployment(deployment, 'cancelled', 'Cancelled by user');
+        throw new DeploymentCancelledError();
+      }
+
+      console.error(`Rollback failed for project ${project.name}:`, error);
+
+      // Only the restart failed - the rolled back release is live
+      if (switched) {
+        await this.recordLiveRevision(project, deployment);
+      }
+
+      if (backup && deployment.release && !switched && ssh.isConnected()) {
+        await this.removeRelease(ssh, project, deployment).catch(() => {});
+      }
+
       if (ssh) {
         ssh.dispose();
       }
+      await this.finishDeployment(deployment, 'failed', error);
       throw error;
     }
   }
 
-  async connectSSH(ssh, server) {
-    const config = {
-      host: server.ip_address,
-      port: server.ssh_port,
-      username: server.ssh_username
+  // What the project is running, recorded whenever a release goes live even if
+  // a later step fails
+  async recordLiveRevision(project, deployment) {
+    await project.update({
+      last_deployment: new Date(),
+      deployed_revision: deployment.revision,
+      deployed_commit_message: deployment.commit_message
+    });
+  }
+
+  // error may be a message or the error that failed the run
+  async finishDeployment(deployment, status, error = null) {
+    const finishedAt = new Date();
+
+    await deployment.update({
+      status,
+      finished_at: finishedAt,
+      duration: deployment.started_at ? finishedAt - deployment.started_at : null,
+      error_message: error instanceof Error ? error.message : error,
+      failed_step: error instanceof CommandFailedError ? error.failedStep : null
+    });
+
+    deploymentLogs.close(deployment.id, status);
+  }
+
+  // Append a step result to the deployment history
+  async recordStep(deployment, step) {
+    deployment.steps = [...(deployment.steps || []), step];
+    await deployment.save();
+  }
+
+  // Execute a remote command and record its result as a deployment step.
+  // Build commands from project data with sh`` so every value is quoted.
+  // Options besides cwd and stdin:
+  //   env      - variables exported from stdin first, so values stay out of the log
+  //   timeout  - seconds before the command is killed (default: the project's)
+  //   onError  - 'abort' throws CommandFailedError on failure, 'continue' logs
+  //              it; without it the caller inspects the result itself
+  async run(ssh, deployment, step, command, options = {}) {
+    command = String(command);
+    const startedAt = Date.now();
+    const context = this.active.get(deployment.id);
+    const { env, timeout: timeoutOption, onError, ...execOptions } = options;
+    const timeout = timeoutOption || (context && context.commandTimeout) || DEFAULT_COMMAND_TIMEOUT;
+
+    // A cancelled run skips every remaining step
+    this.throwIfCancelled(deployment);
+
+    let script = command;
+    if (env && env.length > 0) {
+      script = `eval "$(cat)" || exit 1; ${command}`;
+      execOptions.stdin = this.renderShellExports(env);
+    }
+
+    // timeout(1) kills the command's whole process group on the server; the
+    // local timer is a backstop for a connection that stops responding
+    let channel = null;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      if (!channel) {
+        return;
+      }
+      try {
+        channel.signal('KILL');
+        channel.close();
+      } catch (error) {
+        // Channel already closed
+      }
+    }, (timeout + 30) * 1000);
+
+    // Forward output chunks to stream subscribers as they arrive
+    deploymentLogs.push(deployment.id, 'command', { step, command });
+    let result;
+    try {
+      result = await ssh.execCommand(`timeout -k 10 ${timeout} "\${SHELL:-/bin/sh}" -c ${quote(script)}`, {
+        ...execOptions,
+        // Keep hold of the channel so a cancel can signal the command
+        onChannel: (execChannel) => {
+          channel = execChannel;
+          if (context) {
+            context.channel = execChannel;
+          }
+        },
+        onStdout: (chunk) => deploymentLogs.push(deployment.id, 'stdout', { step, data: chunk.toString() }),
+        onStderr: (chunk) => deploymentLogs.push(deployment.id, 'stderr', { step, data: chunk.toString() })
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+    // 124 is timeout(1)'s exit status for a command it had to stop
+    timedOut = timedOut || result.code === 124;
+    deploymentLogs.push(deployment.id, 'exit', { step, code: result.code });
+
+    const record = {
+      step,
+      command,
+      cwd: execOptions.cwd || null,
+      code: result.code,
+      stdout: truncateOutput(result.stdout),
+      stderr: truncateOutput(result.stderr),
+      duration: Date.now() - startedAt,
+      timeout,
+      timed_out: timedOut
     };
+    await this.recordStep(deployment, record);
 
-    if (server.ssh_password) {
-      config.password = server.ssh_password;
-    } else if (server.ssh_private_key) {
-      config.privateKey = server.ssh_private_key;
+    this.throwIfCancelled(deployment);
+
+    const failedStep = {
+      step: record.step,
+      command: record.command,
+      cwd: record.cwd,
+      code: record.code,
+      stderr: record.stderr,
+      timeout,
+      timed_out: timedOut
+    };
+
+    if (result.code !== 0 && onError) {
+      if (onError !== 'continue') {
+        throw new CommandFailedError(failedStep);
+      }
+      console.warn(`${step} command failed, continuing: ${command}`);
     }
 
-    await ssh.connect(config);
+    return { ...result, timedOut, failedStep };
+  }
+
+  // Error for a command whose result a step checks itself, carrying the same
+  // failed_step as one run with onError: 'abort'
+  commandFailed(result, message) {
+    return new CommandFailedError(result.failedStep, message);
+  }
+
+  // Remote layout: <RELEASE_DIR><deploy_path>/<name>/{releases/<timestamp>,shared,repo},
+  // and <deploy_path>/<name> -> releases/<timestamp> as the served current release
+  getPaths(project, release = null) {
+    const root = path.join(RELEASE_DIR, project.deploy_path, project.name);
+
+    return {
+      root,
+      releases: path.join(root, 'releases'),
+      shared: path.join(root, 'shared'),
+      current: path.join(project.deploy_path, project.name),
+      repo: path.join(root, 'repo'),
+      release: release ? path.join(root, 'releases', release) : null
+    };
+  }
+
+  // Projects deployed before the release layout have their files in
+  // <deploy_path>/<name> itself, possibly with releases/, shared/, repo/ and a
+  // current symlink created inside it by earlier release deploys. Move all of
+  // that under RELEASE_DIR and turn the directory into the current symlink, so
+  // web server configs that point at it keep serving every new release.
+  async migrateLegacyRoot(ssh, project, deployment) {
+    const paths = this.getPaths(project);
+    const nestedCurrent = path.join(paths.current, 'current');
+
+    const checkResult = await this.run(ssh, deployment, 'migrateLegacyRoot', sh`if [ -L ${paths.current} ] || [ ! -e ${paths.current} ]; then echo "release"; elif [ ! -d ${paths.current} ]; then echo "not a directory"; elif [ -L ${nestedCurrent} ]; then echo "nested"; else echo "in place"; fi`);
+    const layout = checkResult.stdout.trim();
+    if (layout === 'release') {
+      return;
+    }
+    if (layout === 'not a directory') {
+      throw new Error(`${paths.current} exists and is not a directory - remove it before deploying`);
+    }
+
+    // Keep the old files under a release named after their last change; a
+    // nested layout already has its releases and the live one is kept live
+    const prepare = layout === 'nested'
+      ? sh`mkdir -p ${paths.root} && cd ${paths.current} && for dir in releases shared repo; do if [ -e "$dir" ]; then rm -rf ${paths.root}/"$dir" && cp -a "$dir" ${paths.root}/; fi; done && target=${paths.releases}/"$(basename "$(readlink current)")"`
+      : sh`target=${paths.releases}/"$(date -u -r ${paths.current} +%Y%m%d%H%M%S)" && mkdir -p ${paths.releases} && rm -rf "$target" && cp -a ${`${paths.current}/.`} "$target"`;
+    const previous = `${paths.current}.webdeploy-old`;
+
+    const result = await this.run(ssh, deployment, 'migrateLegacyRoot', sh`${prepare} && test -d "$target" && rm -rf ${previous} && mv -T ${paths.current} ${previous} && { ln -s "$target" ${paths.current} || { mv -T ${previous} ${paths.current}; exit 1; }; } && rm -rf ${previous}`);
+    if (result.code !== 0) {
+      throw this.commandFailed(result, `Cannot move ${paths.current} into the release layout - deploying would leave its old files served`);
+    }
+
+    console.log(`Moved ${paths.current} into ${paths.releases}`);
+
+    // Configs written by earlier release deploys served <deploy_path>/<name>/current
+    if (layout === 'nested') {
+      await this.configureVirtualHost(ssh, project, deployment);
+    }
+  }
+
+  // deployment is optional - connections made outside a deployment are not recorded
+  async connectSSH(ssh, server, deployment = null) {
+    const startedAt = Date.now();
+    const step = {
+      step: 'connectSSH',
+      command: `ssh ${server.ssh_username}@${server.ip_address} -p ${server.ssh_port}`,
+      cwd: null
+    };
+
+    if (!deployment) {
+      await sshService.connect(ssh, server);
+      return;
+    }
+
+    this.throwIfCancelled(deployment);
+
+    deploymentLogs.push(deployment.id, 'command', { step: step.step, command: step.command });
+
+    try {
+      await sshService.connect(ssh, server);
+    } catch (error) {
+      deploymentLogs.push(deployment.id, 'stderr', { step: step.step, data: error.message });
+      await this.recordStep(deployment, {
+        ...step,
+        code: null,
+        stdout: '',
+        stderr: error.message,
+        duration: Date.now() - startedAt
+      });
+      throw error;
+    }
+
+    deploymentLogs.push(deployment.id, 'stdout', { step: step.step, data: 'SSH connection established' });
+    await this.recordStep(deployment, {
+      ...step,
+      code: 0,
+      stdout: 'SSH connection established',
+      stderr: '',
+      duration: Date.now() - startedAt
+    });
     console.log('SSH connection established');
   }
 
-  async createBackup(ssh, project) {
+  async createBackup(ssh, project, deployment) {
     try {
-      const projectPath = path.join(project.deploy_path, project.name);
-      const backupDir = '/var/backups/webdeploy';
+      const paths = this.getPaths(project);
+      const backupDir = BACKUP_DIR;
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const backupName = `${project.name}_${timestamp}`;
 
-      // Check if project directory exists
-      const checkResult = await ssh.execCommand(`test -d ${projectPath} && echo "exists" || echo "not found"`);
+      // Back up the live release
+      const checkResult = await this.run(ssh, deployment, 'createBackup', sh`test -d ${paths.current} && echo "exists" || echo "not found"`);
+      const sourcePath = checkResult.stdout.trim() === 'exists' ? paths.current : null;
       
-      if (checkResult.stdout.trim() === 'exists') {
+      if (sourcePath) {
         console.log('Creating backup of existing project...');
         
         // Create backup directory
-        await ssh.execCommand(`mkdir -p ${backupDir}`);
+        await this.run(ssh, deployment, 'createBackup', sh`mkdir -p ${backupDir}`);
         
         // Create backup (tar.gz)
-        await ssh.execCommand(`tar -czf ${backupDir}/${backupName}.tar.gz -C ${project.deploy_path} ${project.name}`);
+        const tarResult = await this.run(ssh, deployment, 'createBackup', sh`tar -czf ${path.join(backupDir, `${backupName}.tar.gz`)} -C ${`${sourcePath}/`} .`);
+        
+        // Remember the backup so a cancelled deployment can restore it
+        const context = this.active.get(deployment.id);
+        if (context && tarResult.code === 0) {
+          context.backupFile = `${backupName}.tar.gz`;
+        }
         
         console.log(`Backup created: ${backupName}.tar.gz`);
         
         // Clean old backups (keep last 5)
-        await ssh.execCommand(`cd ${backupDir} && ls -t ${project.name}_*.tar.gz | tail -n +6 | xargs -r rm`);
+        await this.run(ssh, deployment, 'createBackup', sh`cd ${backupDir} && ls -t | grep -E ${this.getBackupPattern(project)} | tail -n +6 | xargs -r rm`);
       }
     } catch (error) {
+      if (error instanceof DeploymentCancelledError) {
+        throw error;
+      }
       console.error('Backup creation failed:', error);
       // Don't throw - backup failure shouldn't stop deployment
     }
   }
 
-  async deployFromGitHub(ssh, project) {
-    console.log(`Deploying from GitHub: ${project.source_url}`);
+  async createRelease(ssh, project, deployment) {
+    const release = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const paths = this.getPaths(project, release);
+
+    const result = await this.run(ssh, deployment, 'createRelease', sh`mkdir -p ${paths.release} ${paths.shared}`);
+    if (result.code !== 0) {
+      throw this.commandFailed(result, `Failed to create release directory - ${RELEASE_DIR} must be writable by the SSH user`);
+    }
+
+    deployment.release = release;
+    console.log(`Release directory created: ${paths.release}`);
+  }
+
+  async removeRelease(ssh, project, deployment) {
+    const paths = this.getPaths(project, deployment.release);
+    await this.run(ssh, deployment, 'removeRelease', sh`rm -rf ${paths.release}`);
+  }
+
+  parseSharedPaths(value) {
+    return (value || '')
+      .split('\n')
+      .map(entry => entry.trim().replace(/\/+$/, ''))
+      .filter(entry => entry)
+      .map(entry => {
+        const normalized = path.posix.normalize(entry);
+        if (path.posix.isAbsolute(normalized) || normalized === '.' || normalized.startsWith('..')) {
+          throw new Error(`Invalid shared path: ${entry}`);
+        }
+        return normalized;
+      });
+  }
+
+  // Replace shared entries in the release with symlinks into shared/.
+  // The first release that ships an entry seeds it.
+  async linkSharedPaths(ssh, project, deployment) {
+    const paths = this.getPaths(project, deployment.release);
+    const entries = [
+      ...this.parseSharedPaths(project.shared_dirs).map(entry => ({ entry, create: raw('mkdir -p'), test: raw('-d') })),
+      ...this.parseSharedPaths(project.shared_files).map(entry => ({ entry, create: raw('touch'), test: raw('-f') }))
+    ];
+
+    for (const { entry, create, test } of entries) {
+      const sharedPath = path.join(paths.shared, entry);
+      const releasePath = path.join(paths.release, entry);
+
+      const result = await this.run(ssh, deployment, 'linkSharedPaths', [
+        sh`mkdir -p ${path.dirname(sharedPath)} ${path.dirname(releasePath)}`,
+        sh`if [ ! -e ${sharedPath} ]; then if [ ${test} ${releasePath} ]; then mv ${releasePath} ${sharedPath}; else ${create} ${sharedPath}; fi; fi`,
+        sh`rm -rf ${releasePath}`,
+        sh`ln -s ${sharedPath} ${releasePath}`
+      ].join(' && '));
+
+      if (result.code !== 0) {
+        throw this.commandFailed(result, `Failed to link shared path ${entry}`);
+      }
+    }
+  }
+
+  // Decrypted environment variables for a project, sorted by key
+  async loadEnvVars(project) {
+    const envVars = await ProjectEnvVar.findAll({
+      where: { project_id: project.id },
+      order: [['key', 'ASC']]
+    });
+
+    return envVars.map(envVar => ({ key: envVar.key, value: envVar.getValue() }));
+  }
+
+  // dotenv syntax, picking a quote style that keeps the value literal:
+  // single quotes, then double quotes (line breaks as \n), then backticks
+  renderEnvFile(variables) {
+    return variables.map(({ key, value }) => {
+      if (!/['\r\n]/.test(value)) {
+        return `${key}='${value}'`;
+      }
+      if (!value.includes('"')) {
+        return `${key}="${value.replace(/\r/g, '\\r').replace(/\n/g, '\\n')}"`;
+      }
+      if (!value.includes('`')) {
+        return `${key}=\`${value}\``;
+      }
+      throw new Error(`Environment variable ${key} mixes every quote character and cannot be written to .env`);
+    }).join('\n') + '\n';
+  }
+
+  renderShellExports(variables) {
+    return variables.map(({ key, value }) => `export ${key}=${quote(value)}`).join('\n') + '\n';
+  }
+
+  // Write shared/.env (mode 600) and link it into the release. Projects with
+  // variables own that file - a hand-written shared .env is replaced.
+  async writeEnvFile(ssh, project, deployment) {
+    const variables = await this.loadEnvVars(project);
+    if (variables.length === 0) {
+      return;
+    }
+
+    const paths = this.getPaths(project, deployment.release);
+    const envPath = path.join(paths.shared, '.env');
+    const releaseEnvPath = path.join(paths.release, '.env');
+
+    // Values travel over stdin, so they stay out of command lines and the deployment log
+    const result = await this.run(ssh, deployment, 'writeEnvFile', [
+      'umask 077',
+      sh`cat > ${`${envPath}.tmp`}`,
+      sh`mv -f ${`${envPath}.tmp`} ${envPath}`,
+      sh`rm -rf ${releaseEnvPath}`,
+      sh`ln -s ${envPath} ${releaseEnvPath}`
+    ].join(' && '), {
+      stdin: this.renderEnvFile(variables)
+    });
+
+    if (result.code !== 0) {
+      throw this.commandFailed(result, 'Failed to write environment file');
+    }
+
+    console.log(`Wrote ${variables.length} environment variable(s) to ${envPath}`);
+  }
+
+  // Write a virtual host for the project's domain, check it with nginx -t or
+  // apachectl configtest and reload. A config that fails the check is replaced
+  // by the previous one and fails the deployment.
+  async configureVirtualHost(ssh, project, deployment) {
+    const hostname = vhostService.getHostname(project.domain);
+    if (!hostname || project.web_server === 'none') {
+      return;
+    }
+
+    const step = 'configureVirtualHost';
+    const detect = await this.run(ssh, deployment, step, [
+      sh`export ${SBIN_PATH}`,
+      'if command -v nginx >/dev/null; then echo nginx; fi',
+      'if command -v apache2ctl >/dev/null || command -v apachectl >/dev/null; then echo apache; fi',
+      'if [ "$(id -u)" = 0 ]; then echo root; elif sudo -n true 2>/dev/null; then echo sudo; fi',
+      'if [ -d /etc/nginx/sites-available ] || [ -d /etc/apache2/sites-available ]; then echo sites-available; fi'
+    ].join('; '));
+    const found = detect.stdout.split('\n').map(line => line.trim());
+
+    const webServer = project.web_server === 'auto'
+      ? ['nginx', 'apache'].find(name => found.includes(name))
+      : project.web_server;
+
+    if (!webServer) {
+      console.log('No web server installed - skipping virtual host');
+      return;
+    }
+    if (!found.includes(webServer)) {
+      throw new Error(`${webServer} is not installed on the server`);
+    }
+    // auto is best effort; an explicitly chosen web server must be configured
+    if (!found.includes('root') && !found.includes('sudo')) {
+      if (project.web_server === 'auto') {
+        console.warn(`${project.server.ssh_username} has neither root nor passwordless sudo - skipping virtual host`);
+        return;
+      }
+      throw new Error(`Writing the ${webServer} config needs root or passwordless sudo`);
+    }
+
+    const sudo = raw(found.includes('root') ? '' : 'sudo -n ');
+    const debianLayout = found.includes('sites-available');
+    const fileName = vhostService.getFileName(project);
+    const mode = vhostService.getMode(project);
+
+    let phpSocket = project.php_fpm_socket;
+    if (mode === 'php' && !phpSocket) {
+      const socketResult = await this.run(ssh, deployment, step, 'ls /run/php/php*-fpm.sock /run/php-fpm/*.sock /var/run/php-fpm/*.sock 2>/dev/null | sort -V | tail -n 1');
+      phpSocket = socketResult.stdout.trim() || null;
+
+      if (!phpSocket && webServer === 'nginx') {
+        throw new Error('No PHP-FPM socket found - set php_fpm_socket on the project');
+      }
+    }
+
+    const options = {
+      hostname,
+      root: path.join(this.getPaths(project).current, project.document_root || ''),
+      phpSocket
+    };
+    const content = webServer === 'nginx'
+      ? vhostService.renderNginx(project, options)
+      : vhostService.renderApache(project, options);
+
+    // Layout-specific locations and commands
+    const apachectl = raw('$(command -v apache2ctl || command -v apachectl)');
+    let conf;
+    let enable = raw('true');
+    let disable = raw('true');
+    let test;
+    let reload;
+
+    if (webServer === 'nginx') {
+      conf = debianLayout ? `/etc/nginx/sites-available/${fileName}` : `/etc/nginx/conf.d/${fileName}`;
+      if (debianLayout) {
+        enable = sh`${sudo}ln -sfn ${conf} ${`/etc/nginx/sites-enabled/${fileName}`}`;
+        disable = sh`${sudo}rm -f ${`/etc/nginx/sites-enabled/${fileName}`}`;
+      }
+      test = sh`${sudo}nginx -t`;
+      reload = sh`${sudo}systemctl reload nginx || ${sudo}nginx -s reload`;
+    } else {
+      conf = debianLayout ? `/etc/apache2/sites-available/${fileName}` : `/etc/httpd/conf.d/${fileName}`;
+      if (debianLayout) {
+        const modules = { proxy: ['proxy', 'proxy_http'], php: phpSocket ? ['proxy_fcgi'] : [] }[mode] || [];
+        enable = modules.length > 0
+          ? sh`${sudo}a2enmod -q ${modules} && ${sudo}a2ensite -q ${fileName}`
+          : sh`${sudo}a2ensite -q ${fileName}`;
+        disable = sh`${sudo}a2dissite -q ${fileName}`;
+      }
+      test = sh`${sudo}${apachectl} configtest`;
+      reload = sh`${sudo}systemctl reload apache2 || ${sudo}systemctl reload httpd || ${sudo}${apachectl} graceful`;
+    }
+
+    const staged = `${conf}.webdeploy-new`;
+    const previous = `${conf}.webdeploy-prev`;
+
+    // Stage the new config next to the live one; nothing to do if it is unchanged
+    const stageResult = await this.run(ssh, deployment, step, sh`${sudo}tee ${staged} > /dev/null && if ${sudo}cmp -s ${staged} ${conf}; then ${sudo}rm -f ${staged}; echo unchanged; fi`, {
+      stdin: content
+    });
+    if (stageResult.code !== 0) {
+      throw this.commandFailed(stageResult, `Failed to write ${webServer} config`);
+    }
+    if (stageResult.stdout.trim() === 'unchanged') {
+      console.log(`Virtual host for ${hostname} is up to date`);
+      return;
+    }
+
+    // Keep the previous config so a failed check can put it back
+    const installResult = await this.run(ssh, deployment, step, sh`export ${SBIN_PATH} && if [ -f ${conf} ]; then ${sudo}cp -p ${conf} ${previous}; fi && ${sudo}mv -f ${staged} ${conf} && ${enable}`);
+    if (installResult.code !== 0) {
+      await this.run(ssh, deployment, step, sh`${sudo}rm -f ${staged}`);
+      throw this.commandFailed(installResult, `Failed to install ${webServer} config`);
+    }
+
+    const testResult = await this.run(ssh, deployment, step, sh`export ${SBIN_PATH} && ${test}`);
+    if (testResult.code !== 0) {
+      await this.run(ssh, deployment, step, sh`export ${SBIN_PATH} && if [ -f ${previous} ]; then ${sudo}mv -f ${previous} ${conf}; else ${disable}; ${sudo}rm -f ${conf}; fi`);
+      throw this.commandFailed(testResult, `${webServer} config test failed, previous config restored`);
+    }
+
+    const reloadResult = await this.run(ssh, deployment, step, sh`export ${SBIN_PATH} && (${reload})`);
+    if (reloadResult.code !== 0) {
+      throw this.commandFailed(reloadResult, `Failed to reload ${webServer}`);
+    }
+
+    await this.run(ssh, deployment, step, sh`${sudo}rm -f ${previous}`);
+    console.log(`Virtual host for ${hostname} installed in ${conf}`);
+  }
+
+  // Atomically point the current symlink at a release
+  async switchRelease(ssh, project, deployment, release) {
+    const paths = this.getPaths(project, release);
+
+    const result = await this.run(ssh, deployment, 'switchRelease', sh`ln -sfn ${paths.release} ${`${paths.current}.tmp`} && mv -Tf ${`${paths.current}.tmp`} ${paths.current}`);
+    if (result.code !== 0) {
+      throw this.commandFailed(result, 'Failed to switch release');
+    }
+
+    deployment.release = release;
+    console.log(`Current release: ${release}`);
+  }
+
+  // Remove old releases beyond the project's retention count, never the live one
+  async pruneReleases(ssh, project, deployment) {
+    const paths = this.getPaths(project);
+    const keep = project.keep_releases || 5;
+
+    await this.run(ssh, deployment, 'pruneReleases', sh`cd ${paths.releases} && ls -1 | sort -r | tail -n +${keep + 1} | grep -vx "$(basename "$(readlink ${paths.current})")" | xargs -r rm -rf`);
+  }
+
+  isValidReleaseName(release) {
+    return typeof release === 'string' && /^\d{14}$/.test(release);
+  }
+
+  async activateRelease(ssh, project, deployment, release) {
+    if (!this.isValidReleaseName(release)) {
+      throw new Error(`Invalid release: ${release}`);
+    }
+
+    const paths = this.getPaths(project, release);
+    const checkResult = await this.run(ssh, deployment, 'activateRelease', sh`test -d ${paths.release} && echo "exists" || echo "not found"`);
+    if (checkResult.stdout.trim() !== 'exists') {
+      throw new Error(`Release not found: ${release}`);
+    }
+
+    await this.switchRelease(ssh, project, deployment, release);
+
+    // Carry over what the original deployment of this release recorded
+    const original = await Deployment.findOne({
+      where: { project_id: project.id, release, type: 'deploy', status: 'success' },
+      order: [['createdAt', 'DESC']]
+    });
+    deployment.revision = original ? original.revision : release;
+    deployment.commit_message = original ? original.commit_message : null;
+  }
+
+  // List release directories on the project's server, newest first
+  async listReleases(project) {
+    const ssh = new NodeSSH();
+    const paths = this.getPaths(project);
+
+    try {
+      await this.connectSSH(ssh, project.server);
+
+      const result = await ssh.execCommand(String(sh`ls -1 ${paths.releases} 2>/dev/null; echo "---"; readlink ${paths.current}`));
+      const [list, current] = result.stdout.split('---');
+      const currentRelease = path.basename((current || '').trim());
+
+      return list
+        .split('\n')
+        .map(line => line.trim())
+        .filter(release => this.isValidReleaseName(release))
+        .sort()
+        .reverse()
+        .map(release => ({
+          release,
+          current: release === currentRelease,
+          created_at: new Date(release.replace(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/, '$1-$2-$3T$4:$5:$6Z'))
+        }));
+    } finally {
+      ssh.dispose();
+    }
+  }
+
+  // Branch names, tags and SHAs only - no option-like or parent-traversing refs
+  isValidRef(ref) {
+    return typeof ref === 'string'
+      && /^[A-Za-z0-9._/-]+$/.test(ref)
+      && !ref.startsWith('-')
+      && !ref.includes('..')
+      && !ref.endsWith('.lock');
+  }
+
+  // Deploy keys need the SSH form of the URL: https://host/owner/repo -> git@host:owner/repo.git
+  getSourceUrl(project) {
+    const match = project.deploy_key_private && /^https?:\/\/([^/@]+@)?([^/]+)\/(.+?)(\.git)?\/?$/.exec(project.source_url);
+    return match ? `git@${match[2]}:${match[3]}.git` : project.source_url;
+  }
+
+  // Make the project's deploy key or access token available to git commands.
+  // Secrets travel over stdin or a mode-600 temp file, never in the command line.
+  // Returns a shell prefix to put before git commands, their stdin, and a cleanup function.
+  async prepareGitAuth(ssh, project, deployment) {
+    if (project.deploy_key_private) {
+      const keyResult = await this.run(ssh, deployment, 'deployFromGitHub', 'umask 077 && key=$(mktemp) && cat > "$key" && echo "$key"', {
+        stdin: project.getSecret('deploy_key_private') + '\n'
+      });
+      const keyPath = keyResult.stdout.trim();
+
+      if (keyResult.code !== 0 || !keyPath) {
+        throw this.commandFailed(keyResult, 'Failed to install deploy key');
+      }
+
+      // Removed by cleanUpCancelled if the run is cancelled before cleanup()
+      const context = this.active.get(deployment.id);
+      if (context) {
+        context.tempFiles.push(keyPath);
+      }
+
+      return {
+        prefix: sh`export GIT_SSH_COMMAND=${`ssh -i ${quote(keyPath)} -o IdentitiesOnly=yes -o StrictHostKeyChecking=accept-new`} && `,
+        stdin: undefined,
+        cleanup: () => this.run(ssh, deployment, 'deployFromGitHub', sh`rm -f ${keyPath}`)
+      };
+    }
+
+    if (project.git_access_token) {
+      const credentials = Buffer.from(`x-access-token:${project.getSecret('git_access_token')}`).toString('base64');
+
+      return {
+        prefix: raw('read -r GIT_AUTH_HEADER && export GIT_CONFIG_COUNT=1 GIT_CONFIG_KEY_0=http.extraHeader GIT_CONFIG_VALUE_0="$GIT_AUTH_HEADER" && '),
+        stdin: `Authorization: Basic ${credentials}\n`,
+        cleanup: async () => {}
+      };
+    }
+
+    return { prefix: raw(''), stdin: undefined, cleanup: async () => {} };
+  }
+
+  async deployFromGitHub(ssh, project, deployment) {
+    // A one-off ref wins over the project's branch; neither means the remote's default branch
+    const ref = deployment.ref || project.branch || null;
+    console.log(`Deploying from GitHub: ${project.source_url} (${ref || 'default branch'})`);
     
-    const projectPath = path.join(project.deploy_path, project.name);
+    if (ref && !this.isValidRef(ref)) {
+      throw new Error(`Invalid Git ref: ${ref}`);
+    }
     
-    // Check if directory exists
-    const checkResult = await ssh.execCommand(`test -d ${projectPath} && echo "exists" || echo "not found"`);
+    const paths = this.getPaths(project, deployment.release);
+    const sourceUrl = this.getSourceUrl(project);
+    const auth = await this.prepareGitAuth(ssh, project, deployment);
     
-    if (checkResult.stdout.trim() === 'exists') {
-      // Directory exists - pull latest changes
-      console.log('Pulling latest changes...');
-      const result = await ssh.execCommand(`cd ${projectPath} && git pull origin main || git pull origin master`);
+    try {
+      // Check if the repository cache exists
+      const checkResult = await this.run(ssh, deployment, 'deployFromGitHub', sh`test -d ${path.join(paths.repo, '.git')} && echo "exists" || echo "not found"`);
       
-      if (result.code !== 0) {
-        throw new Error(`Git pull failed: ${result.stderr}`);
+      if (checkResult.stdout.trim() !== 'exists') {
+        // Cache doesn't exist - clone repository
+        console.log('Cloning repository...');
+        const result = await this.run(ssh, deployment, 'deployFromGitHub', sh`${auth.prefix}git clone --no-checkout -- ${sourceUrl} ${paths.repo}`, {
+          stdin: auth.stdin
+        });
+        
+        if (result.code !== 0) {
+          throw this.commandFailed(result, 'Git clone failed');
+        }
+        
+        console.log('Git clone output:', result.stdout);
       }
+
+      // Fetch all branches and tags, and refresh the remote's default branch.
+      // The URL is reset every time in case the source or credentials changed.
+      console.log('Fetching latest changes...');
+      const fetchResult = await this.run(ssh, deployment, 'deployFromGitHub', sh`${auth.prefix}cd ${paths.repo} && git remote set-url origin -- ${sourceUrl} && git fetch --prune --tags --force origin && git remote set-head origin --auto`, {
+        stdin: auth.stdin
+      });
       
-      console.log('Git pull output:', result.stdout);
-    } else {
-      // Directory doesn't exist - clone repository
-      console.log('Cloning repository...');
-      await ssh.execCommand(`mkdir -p ${project.deploy_path}`);
-      
-      const result = await ssh.execCommand(`cd ${project.deploy_path} && git clone ${project.source_url} ${project.name}`);
-      
-      if (result.code !== 0) {
-        throw new Error(`Git clone failed: ${result.stderr}`);
+      if (fetchResult.code !== 0) {
+        throw this.commandFailed(fetchResult, 'Git fetch failed');
       }
-      
-      console.log('Git clone output:', result.stdout);
+    } finally {
+      await auth.cleanup();
     }
+
+    // Resolve the ref to a commit: remote branch, then tag, then SHA
+    const resolveCommand = ref
+      ? sh`cd ${paths.repo} && (git rev-parse --verify --quiet ${`origin/${ref}^{commit}`} || git rev-parse --verify --quiet ${`refs/tags/${ref}^{commit}`} || git rev-parse --verify --quiet ${`${ref}^{commit}`})`
+      : sh`cd ${paths.repo} && git rev-parse --verify --quiet "origin/HEAD^{commit}"`;
+    const revResult = await this.run(ssh, deployment, 'deployFromGitHub', resolveCommand);
+    const commit = revResult.stdout.trim().split('\n')[0];
+    
+    if (revResult.code !== 0 || !commit) {
+      throw this.commandFailed(revResult, `Git ref not found: ${ref || 'default branch'}`);
+    }
+
+    // Export a clean copy of the commit's tree into the release
+    const exportResult = await this.run(ssh, deployment, 'deployFromGitHub', sh`cd ${paths.repo} && git archive --format=tar ${commit} | tar -x -C ${paths.release}`);
+    if (exportResult.code !== 0) {
+      throw this.commandFailed(exportResult, 'Git export failed');
+    }
+
+    // Record the deployed commit
+    const messageResult = await this.run(ssh, deployment, 'deployFromGitHub', sh`cd ${paths.repo} && git log -1 --format=%s ${commit}`);
+    deployment.revision = commit;
+    deployment.commit_message = messageResult.code === 0 ? messageResult.stdout.trim() : null;
   }
 
-  async deployFromUpload(ssh, project) {
+  // Deploy the deployment's artifact version, or the project's single upload
+  // for projects created before artifacts were versioned
+  async deployFromUpload(ssh, project, deployment) {
     console.log('Deploying from uploaded file...');
     
-    const projectPath = path.join(project.deploy_path, project.name);
+    let sourcePath = project.source_path;
+    const artifact = deployment.artifact_id ? await ProjectArtifact.findByPk(deployment.artifact_id) : null;
+    if (deployment.artifact_id) {
+      if (!artifact || artifact.expired_at) {
+        throw new Error(`Artifact ${deployment.artifact_id} is no longer available`);
+      }
+      if (await artifactService.checksum(artifact.file_path) !== artifact.sha256) {
+        throw new Error(`Artifact v${artifact.version} does not match its SHA-256 checksum`);
+      }
+      sourcePath = artifact.file_path;
+    }
     
-    // Create project directory
-    await ssh.execCommand(`mkdir -p ${projectPath}`);
+    // Artifacts were inspected when uploaded; a legacy source_path is checked now
+    const archive = artifact && artifact.format
+      ? { format: artifact.format, top_level_dir: artifact.top_level_dir, strip_top_level: artifact.strip_top_level }
+      : await archiveService.inspect(sourcePath);
+
+    const projectPath = this.getPaths(project, deployment.release).release;
+    const staging = `${projectPath}.upload`;
+    const remoteFile = path.posix.join('/tmp', path.basename(sourcePath));
     
     // Upload file to server
-    await ssh.putFile(project.source_path, `/tmp/${path.basename(project.source_path)}`);
-    
-    // Extract file based on extension
-    const ext = path.extname(project.source_path).toLowerCase();
+    await ssh.putFile(sourcePath, remoteFile);
     
-    if (ext === '.zip') {
-      await ssh.execCommand(`unzip -o /tmp/${path.basename(project.source_path)} -d ${projectPath}`);
-    } else if (ext === '.tar' || ext === '.gz' || ext === '.tgz') {
-      await ssh.execCommand(`tar -xzf /tmp/${path.basename(project.source_path)} -C ${projectPath}`);
+    let extract;
+    if (archive.format === 'zip') {
+      extract = sh`unzip -q ${remoteFile} -d ${staging}`;
+    } else if (TAR_EXTRACT_FLAGS[archive.format]) {
+      extract = sh`tar ${raw(TAR_EXTRACT_FLAGS[archive.format])} ${remoteFile} -C ${staging} --no-same-owner`;
     } else {
       // Single file - just copy it
-      await ssh.execCommand(`cp /tmp/${path.basename(project.source_path)} ${projectPath}/`);
+      const fileName = archiveService.safeFileName(artifact ? artifact.original_name : sourcePath);
+      extract = sh`cp ${remoteFile} ${path.posix.join(staging, fileName)}`;
+    }
+
+    // Extract into an empty directory and swap it in, so nothing from an
+    // earlier upload survives. The staging directory goes either way.
+    const source = archive.strip_top_level && archive.top_level_dir
+      ? path.posix.join(staging, archive.top_level_dir)
+      : staging;
+    try {
+      await this.run(ssh, deployment, 'deployFromUpload', [
+        sh`rm -rf ${staging}`,
+        sh`mkdir -p ${staging}`,
+        extract,
+        sh`rm -rf ${projectPath}`,
+        sh`mv ${source} ${projectPath}`
+      ].join(' && '), { onError: 'abort' });
+    } finally {
+      await this.run(ssh, deployment, 'deployFromUpload', sh`rm -rf ${staging} ${remoteFile}`);
     }
     
-    // Clean up temp file
-    await ssh.execCommand(`rm /tmp/${path.basename(project.source_path)}`);
+    deployment.revision = artifact ? `v${artifact.version} (${artifact.sha256.slice(0, 12)})` : path.basename(sourcePath);
+    deployment.commit_message = artifact ? artifact.notes : null;
     
     console.log('File uploaded and extracted');
   }
 
-  async executeProjectTypeCommands(ssh, project) {
-    const projectPath = path.join(project.deploy_path, project.name);
+  // Read webdeploy.yml (or .yaml) from a release directory and check that its
+  // working directories exist. Returns null when there is none.
+  async loadManifest(ssh, deployment, dir) {
+    const files = manifestService.getFileNames();
+    const result = await this.run(ssh, deployment, 'loadManifest', sh`for file in ${files}; do if [ -f "$file" ]; then echo "$file"; cat "$file"; exit 0; fi; done`, { cwd: dir });
+    if (result.code !== 0) {
+      throw this.commandFailed(result, 'Failed to read deploy manifest');
+    }
+    if (!result.stdout.trim()) {
+      return null;
+    }
+
+    const [file, ...lines] = result.stdout.split('\n');
+    const manifest = manifestService.parse(lines.join('\n'), file);
+
+    const dirs = manifestService.getWorkingDirs(manifest);
+    if (dirs.length > 0) {
+      const check = await this.run(ssh, deployment, 'loadManifest', sh`for dir in ${dirs}; do [ -d "$dir" ] || echo "$dir"; done`, { cwd: dir });
+      const missing = check.stdout.split('\n').filter(Boolean);
+      if (missing.length > 0) {
+        throw new ManifestError(file, missing.map(missingDir => `working directory ${missingDir} does not exist`));
+      }
+    }
+
+    console.log(`Using deploy manifest ${file}`);
+    return manifest;
+  }
+
+  // Run one section of the manifest from root (the release or current). Steps
+  // see the manifest's env, overridden by the project's variables. A failing
+  // step follows its continue_on_error, or else the project's policy.
+  async runManifestSteps(ssh, project, deployment, manifest, section, root) {
+    const steps = manifest[section] || [];
+    if (steps.length === 0) {
+      return;
+    }
+
+    const variables = [
+      ...Object.entries(manifest.env).map(([key, value]) => ({ key, value })),
+      ...await this.loadEnvVars(project)
+    ];
+
+    console.log(`Running ${section} steps from ${manifest.file}...`);
+
+    for (const step of steps) {
+      const continueOnError = step.continue_on_error !== null
+        ? step.continue_on_error
+        : project.on_command_error === 'continue';
+
+      await this.run(ssh, deployment, `manifest:${section}`, step.run, {
+        cwd: path.join(root, manifestService.getStepDir(manifest, step)),
+        env: variables,
+        timeout: step.timeout,
+        onError: continueOnError ? 'continue' : 'abort'
+      });
+    }
+  }
+
+  // The manifest's build steps when it has any, otherwise the built-in recipe
+  // for the project type
+  async executeProjectTypeCommands(ssh, project, deployment, manifest = null) {
+    const projectPath = this.getPaths(project, deployment.release).release;
+    
+    if (manifest && manifest.build) {
+      await this.runManifestSteps(ssh, project, deployment, manifest, 'build', projectPath);
+      await this.run(ssh, deployment, 'executeProjectTypeCommands', sh`chmod -R 755 ${projectPath}`, { onError: 'abort' });
+      return;
+    }
     
     console.log(`Executing ${project.project_type} specific commands...`);
+    const onError = project.on_command_error;
     
     switch (project.project_type) {
       case 'nodejs':
         // Install dependencies
-        await ssh.execCommand(`cd ${projectPath} && npm install`);
-        
-        // Restart with PM2 if installed
-        const pm2Check = await ssh.execCommand('which pm2');
-        if (pm2Check.code === 0) {
-          await ssh.execCommand(`pm2 restart ${project.name} || pm2 start npm --name "${project.name}" -- start`, {
-            cwd: projectPath
-          });
-          console.log('Node.js app restarted with PM2');
-        }
+        await this.run(ssh, deployment, 'executeProjectTypeCommands', sh`cd ${projectPath} && npm install`, { onError });
         break;
         
       case 'php':
         // Install composer dependencies if composer.json exists
-        const composerCheck = await ssh.execCommand(`test -f ${projectPath}/composer.json && echo "exists"`);
+        const composerCheck = await this.run(ssh, deployment, 'executeProjectTypeCommands', sh`test -f ${path.join(projectPath, 'composer.json')} && echo "exists"`);
         if (composerCheck.stdout.trim() === 'exists') {
-          await ssh.execCommand(`cd ${projectPath} && composer install --no-dev --optimize-autoloader`);
+          await this.run(ssh, deployment, 'executeProjectTypeCommands', sh`cd ${projectPath} && composer install --no-dev --optimize-autoloader`, { onError });
           console.log('Composer dependencies installed');
         }
         break;
         
       case 'python':
         // Install pip requirements if requirements.txt exists
-        const reqCheck = await ssh.execCommand(`test -f ${projectPath}/requirements.txt && echo "exists"`);
+        const reqCheck = await this.run(ssh, deployment, 'executeProjectTypeCommands', sh`test -f ${path.join(projectPath, 'requirements.txt')} && echo "exists"`);
         if (reqCheck.stdout.trim() === 'exists') {
-          await ssh.execCommand(`cd ${projectPath} && pip3 install -r requirements.txt`);
+          await this.run(ssh, deployment, 'executeProjectTypeCommands', sh`cd ${projectPath} && pip3 install -r requirements.txt`, { onError });
           console.log('Python dependencies installed');
         }
         break;
@@ -201,26 +1255,132 @@ class DeploymentService {
     }
     
     // Set proper permissions
-    await ssh.execCommand(`chmod -R 755 ${projectPath}`);
+    await this.run(ssh, deployment, 'executeProjectTypeCommands', sh`chmod -R 755 ${projectPath}`, { onError: 'abort' });
+  }
+
+  // Restart long-running processes for project types that have them, or run
+  // the manifest's restart steps. Without a manifest argument, the live
+  // release's manifest is read.
+  async restartProject(ssh, project, deployment, manifest) {
+    const projectPath = this.getPaths(project).current;
+
+    if (manifest === undefined) {
+      manifest = await this.loadManifest(ssh, deployment, projectPath);
+    }
+    if (manifest && manifest.restart) {
+      await this.runManifestSteps(ssh, project, deployment, manifest, 'restart', projectPath);
+      return;
+    }
+
+    if (project.project_type === 'nodejs') {
+      // Restart with PM2 if installed
+      const pm2Check = await this.run(ssh, deployment, 'restartProject', 'which pm2');
+      if (pm2Check.code === 0) {
+        const variables = await this.loadEnvVars(project);
+        // pm2 restart reuses the directory the process was first started in (an
+        // older release, or the pre-release deploy path), so start it afresh in current
+        const command = sh`pm2 delete ${project.name} >/dev/null 2>&1; pm2 start npm --name ${project.name} --cwd ${projectPath} -- start`;
+
+        // Export the project's variables into pm2's environment
+        await this.run(ssh, deployment, 'restartProject', command, {
+          cwd: projectPath,
+          env: variables,
+          onError: project.on_command_error
+        });
+        console.log('Node.js app restarted with PM2');
+      }
+    }
+  }
+
+  // List backup archives for a project on its server, newest first
+  async listBackups(project) {
+    const ssh = new NodeSSH();
+
+    try {
+      await this.connectSSH(ssh, project.server);
+
+      const result = await ssh.execCommand(String(
+        sh`find ${BACKUP_DIR} -maxdepth 1 -type f -name ${`${project.name}_*.tar.gz`} -printf '%f\\t%s\\t%T@\\n'`
+      ));
+
+      if (result.code !== 0 && !result.stderr.includes('No such file')) {
+        throw new Error(`Failed to list backups: ${result.stderr}`);
+      }
+
+      return result.stdout
+        .split('\n')
+        .filter(line => line.trim() && this.isValidBackupName(project, line.split('\t')[0]))
+        .map(line => {
+          const [file, size, mtime] = line.split('\t');
+          return {
+            file,
+            size: parseInt(size, 10),
+            created_at: new Date(parseFloat(mtime) * 1000)
+          };
+        })
+        .sort((a, b) => b.created_at - a.created_at);
+    } finally {
+      ssh.dispose();
+    }
+  }
+
+  // <name>_<timestamp>.tar.gz as written by createBackup. A prefix match is not
+  // enough: project api would also claim api_v2's backups.
+  getBackupPattern(project) {
+    const name = project.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return `^${name}_[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}-[0-9]{2}-[0-9]{2}-[0-9]{3}Z\\.tar\\.gz$`;
   }
 
-  async executeCustomCommands(ssh, project) {
+  isValidBackupName(project, backupFile) {
+    return typeof backupFile === 'string' && new RegExp(this.getBackupPattern(project)).test(backupFile);
+  }
+
+  // Restore a backup archive into a new release and make it live
+  async restoreBackup(ssh, project, deployment, backupFile) {
+    if (!this.isValidBackupName(project, backupFile)) {
+      throw new Error(`Invalid backup file: ${backupFile}`);
+    }
+
+    const archivePath = `${BACKUP_DIR}/${backupFile}`;
+
+    const checkResult = await this.run(ssh, deployment, 'restoreBackup', sh`test -f ${archivePath} && echo "exists" || echo "not found"`);
+    if (checkResult.stdout.trim() !== 'exists') {
+      throw new Error(`Backup not found: ${backupFile}`);
+    }
+
+    await this.migrateLegacyRoot(ssh, project, deployment);
+    await this.createRelease(ssh, project, deployment);
+    const paths = this.getPaths(project, deployment.release);
+
+    // Strip the leading ./ (or <name>/ in archives taken before the release layout)
+    const extractResult = await this.run(ssh, deployment, 'restoreBackup', sh`tar -xzf ${archivePath} -C ${paths.release} --strip-components=1`);
+    if (extractResult.code !== 0) {
+      await this.removeRelease(ssh, project, deployment);
+      throw this.commandFailed(extractResult, 'Backup extraction failed');
+    }
+
+    await this.linkSharedPaths(ssh, project, deployment);
+    await this.switchRelease(ssh, project, deployment, deployment.release);
+
+    deployment.revision = backupFile;
+    console.log(`Backup restored: ${backupFile}`);
+  }
+
+  async executeCustomCommands(ssh, project, deployment) {
     console.log('Executing custom commands...');
     
-    const projectPath = path.join(project.deploy_path, project.name);
+    const projectPath = this.getPaths(project, deployment.release).release;
     const commands = project.custom_commands.split('\n').filter(cmd => cmd.trim());
     
     for (const command of commands) {
       console.log(`Executing: ${command}`);
-      const result = await ssh.execCommand(command, { cwd: projectPath });
-      
-      if (result.code !== 0) {
-        console.error(`Command failed: ${result.stderr}`);
-      } else {
-        console.log(`Command output: ${result.stdout}`);
-      }
+      await this.run(ssh, deployment, 'executeCustomCommands', command, {
+        cwd: projectPath,
+        onError: project.on_command_error
+      });
     }
   }
 }
 
-module.exports = new DeploymentService();
\ No newline at end of file
+module.exports = new DeploymentService();
+module.exports.DeploymentCancelledError = DeploymentCancelledError;
@@ -0,0 +1,79 @@
+// Failed-login throttling per username and per IP, kept in memory.
+// LOGIN_MAX_ATTEMPTS failures for a username (LOGIN_MAX_ATTEMPTS_PER_IP for an
+// address) within the window lock it out for LOGIN_LOCKOUT_MINUTES.
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 20;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+const WINDOW_MS = LOCKOUT_MS;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class LoginThrottle {
+  constructor() {
+    // key -> { failures: [timestamps], lockedUntil }
+    this.entries = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  keys(username, ip) {
+    return [
+      { key: `user:${String(username || '').toLowerCase()}`, max: MAX_ATTEMPTS },
+      { key: `ip:${ip}`, max: MAX_ATTEMPTS_PER_IP }
+    ];
+  }
+
+  // Seconds until the username or IP may try again, 0 if not locked out
+  retryAfter(username, ip) {
+    const now = Date.now();
+    const lockedUntil = Math.max(...this.keys(username, ip).map(({ key }) => {
+      const entry = this.entries.get(key);
+      return entry && entry.lockedUntil > now ? entry.lockedUntil : 0;
+    }));
+
+    return lockedUntil ? Math.ceil((lockedUntil - now) / 1000) : 0;
+  }
+
+  // Returns true if this failure triggered a lockout
+  recordFailure(username, ip) {
+    const now = Date.now();
+    let locked = false;
+    this.sweep(now);
+
+    this.keys(username, ip).forEach(({ key, max }) => {
+      const entry = this.entries.get(key) || { failures: [], lockedUntil: 0 };
+      entry.failures = entry.failures.filter(time => now - time < WINDOW_MS);
+      entry.failures.push(now);
+
+      if (entry.failures.length >= max) {
+        entry.lockedUntil = now + LOCKOUT_MS;
+        entry.failures = [];
+        locked = true;
+        console.warn(`⚠️  Login locked out for ${key} after ${max} failed attempts`);
+      }
+
+      this.entries.set(key, entry);
+    });
+
+    return locked;
+  }
+
+  // A successful login clears the username's failures; the IP's are kept so
+  // one valid account cannot reset an address that is guessing at others
+  recordSuccess(username) {
+    this.entries.delete(this.keys(username, null)[0].key);
+  }
+
+  sweep(now) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.lastSweep = now;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.lockedUntil <= now && entry.failures.every(time => now - time >= WINDOW_MS)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new LoginThrottle();
@@ -0,0 +1,182 @@
+const YAML = require('yaml');
+
+// Looked up in the release root, first match wins
+const MANIFEST_FILES = ['webdeploy.yml', 'webdeploy.yaml'];
+
+// Step lists, in the order they run. build replaces the project type's
+// built-in recipe and restart the built-in restart; the others are extra.
+const STEP_SECTIONS = ['build', 'pre_deploy', 'post_deploy', 'restart'];
+const KNOWN_KEYS = ['version', 'working_dir', 'env', ...STEP_SECTIONS];
+const STEP_KEYS = ['run', 'working_dir', 'timeout', 'continue_on_error'];
+const MAX_TIMEOUT = 86400;
+
+const ENV_KEY = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const RELATIVE_PATH = /^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/;
+
+class ManifestError extends Error {
+  constructor(file, errors) {
+    super(`Invalid ${file}: ${errors.join('; ')}`);
+    this.name = 'ManifestError';
+    this.errors = errors;
+  }
+}
+
+// webdeploy.yml example:
+//
+//   working_dir: app
+//   env:
+//     NODE_ENV: production
+//   build:
+//     - npm ci
+//     - npm run build
+//   pre_deploy:
+//     - run: php artisan migrate --force
+//       working_dir: api
+//       timeout: 300
+//       continue_on_error: false
+//   restart:
+//     - pm2 reload ecosystem.config.js
+class ManifestService {
+  getFileNames() {
+    return MANIFEST_FILES;
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  validatePath(value, label, errors) {
+    if (typeof value !== 'string' || !RELATIVE_PATH.test(value) || value.split('/').includes('..')) {
+      errors.push(`${label} must be a relative path inside the release`);
+      return null;
+    }
+    return value;
+  }
+
+  validateSteps(value, section, errors) {
+    if (value === undefined) {
+      return null;
+    }
+    if (!Array.isArray(value)) {
+      errors.push(`${section} must be a list of commands`);
+      return null;
+    }
+
+    return value.map((step, index) => {
+      const label = `${section}[${index}]`;
+
+      if (typeof step === 'string') {
+        step = { run: step };
+      } else if (!this.isPlainObject(step)) {
+        errors.push(`${label} must be a command or a { run, working_dir, timeout, continue_on_error } map`);
+        return null;
+      }
+
+      Object.keys(step).filter(key => !STEP_KEYS.includes(key)).forEach(key => {
+        errors.push(`${label} has unknown key "${key}"`);
+      });
+
+      if (typeof step.run !== 'string' || !step.run.trim()) {
+        errors.push(`${label}.run must be a non-empty command`);
+      }
+      if (step.timeout !== undefined && !(Number.isInteger(step.timeout) && step.timeout >= 1 && step.timeout <= MAX_TIMEOUT)) {
+        errors.push(`${label}.timeout must be a number of seconds between 1 and ${MAX_TIMEOUT}`);
+      }
+      if (step.continue_on_error !== undefined && typeof step.continue_on_error !== 'boolean') {
+        errors.push(`${label}.continue_on_error must be true or false`);
+      }
+
+      // timeout and continue_on_error are null when the project's settings apply
+      return {
+        run: typeof step.run === 'string' ? step.run.trim() : null,
+        working_dir: step.working_dir !== undefined ? this.validatePath(step.working_dir, `${label}.working_dir`, errors) : null,
+        timeout: step.timeout !== undefined ? step.timeout : null,
+        continue_on_error: step.continue_on_error !== undefined ? step.continue_on_error : null
+      };
+    });
+  }
+
+  validateEnv(value, errors) {
+    if (value === undefined) {
+      return {};
+    }
+    if (!this.isPlainObject(value)) {
+      errors.push('env must be a map of variable names to values');
+      return {};
+    }
+
+    const env = {};
+    Object.entries(value).forEach(([key, envValue]) => {
+      if (!ENV_KEY.test(key)) {
+        errors.push(`env key "${key}" is not a valid variable name`);
+      } else if (!['string', 'number', 'boolean'].includes(typeof envValue)) {
+        errors.push(`env.${key} must be a string, number or boolean`);
+      } else {
+        env[key] = String(envValue);
+      }
+    });
+    return env;
+  }
+
+  // Parse and validate manifest text. Every problem is collected so one failed
+  // deployment reports all of them. Throws ManifestError.
+  parse(text, file = MANIFEST_FILES[0]) {
+    const document = YAML.parseDocument(text);
+    if (document.errors.length > 0) {
+      throw new ManifestError(file, document.errors.map(error => error.message.split('\n')[0].replace(/:$/, '')));
+    }
+
+    const data = document.toJS();
+    if (data === null || data === undefined) {
+      throw new ManifestError(file, ['file is empty']);
+    }
+    if (!this.isPlainObject(data)) {
+      throw new ManifestError(file, ['top level must be a map']);
+    }
+
+    const errors = [];
+    Object.keys(data).filter(key => !KNOWN_KEYS.includes(key)).forEach(key => {
+      errors.push(`unknown key "${key}"`);
+    });
+
+    if (data.version !== undefined && data.version !== 1) {
+      errors.push('version must be 1');
+    }
+
+    const manifest = {
+      file,
+      working_dir: data.working_dir !== undefined ? this.validatePath(data.working_dir, 'working_dir', errors) : null,
+      env: this.validateEnv(data.env, errors)
+    };
+    STEP_SECTIONS.forEach(section => {
+      manifest[section] = this.validateSteps(data[section], section, errors);
+    });
+
+    if (errors.length > 0) {
+      throw new ManifestError(file, errors);
+    }
+
+    return manifest;
+  }
+
+  // Directory a step runs in, relative to the release root
+  getStepDir(manifest, step) {
+    return step.working_dir || manifest.working_dir || '.';
+  }
+
+  // Every directory the manifest's steps run in
+  getWorkingDirs(manifest) {
+    const dirs = new Set();
+    STEP_SECTIONS.forEach(section => {
+      (manifest[section] || []).forEach(step => dirs.add(this.getStepDir(manifest, step)));
+    });
+    if (manifest.working_dir) {
+      dirs.add(manifest.working_dir);
+    }
+    dirs.delete('.');
+    return [...dirs];
+  }
+}
+
+module.exports = new ManifestService();
+module.exports.ManifestError = ManifestError;
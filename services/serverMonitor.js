@@ -0,0 +1,130 @@
+const { NodeSSH } = require('node-ssh');
+const { Server, ServerMetric } = require('../models');
+const sshService = require('./sshService');
+const PeriodicRunner = require('../utils/periodicRunner');
+
+const METRICS_COMMAND = [
+  'cat /proc/loadavg',
+  'echo ---',
+  'free -b',
+  'echo ---',
+  'df -P -B1 -x tmpfs -x devtmpfs -x squashfs -x overlay',
+  'echo ---',
+  'cat /proc/uptime'
+].join('; ');
+
+// Network-level failures mean the host is unreachable rather than misconfigured
+const OFFLINE_ERROR_LEVELS = ['client-socket', 'client-timeout'];
+
+class ServerMonitor {
+  // Interval and retention come from SERVER_MONITOR_INTERVAL (seconds, 0 disables)
+  // and SERVER_METRICS_RETENTION_DAYS
+  constructor() {
+    this.runner = new PeriodicRunner({
+      name: 'Server monitor',
+      icon: '🩺',
+      intervalEnv: 'SERVER_MONITOR_INTERVAL',
+      retention: { model: ServerMetric, env: 'SERVER_METRICS_RETENTION_DAYS' },
+      task: () => this.checkAll()
+    });
+  }
+
+  start() {
+    this.runner.start();
+  }
+
+  stop() {
+    this.runner.stop();
+  }
+
+  async checkAll() {
+    const servers = await Server.scope('withCredentials').findAll();
+    await Promise.allSettled(servers.map(server => this.checkServer(server)));
+  }
+
+  async checkServer(server) {
+    const ssh = new NodeSSH();
+    const checkedAt = new Date();
+
+    // Never connect to an unverified host, but don't leave its status stale either
+    if (!server.host_key_fingerprint) {
+      await this.recordFailure(server, checkedAt, 'Host key not pinned - run a connection test to pin it', 'error');
+      return;
+    }
+
+    try {
+      await sshService.connect(ssh, server);
+      const result = await ssh.execCommand(METRICS_COMMAND);
+      const metrics = this.parseMetrics(result.stdout);
+
+      await ServerMetric.create({
+        server_id: server.id,
+        reachable: true,
+        ...metrics,
+        checked_at: checkedAt
+      });
+
+      await server.update({
+        status: 'online',
+        last_checked: checkedAt
+      });
+    } catch (error) {
+      await this.recordFailure(server, checkedAt, error.message, OFFLINE_ERROR_LEVELS.includes(error.level) ? 'offline' : 'error');
+    } finally {
+      ssh.dispose();
+    }
+  }
+
+  async recordFailure(server, checkedAt, message, status) {
+    await ServerMetric.create({
+      server_id: server.id,
+      reachable: false,
+      error_message: message,
+      checked_at: checkedAt
+    });
+
+    await server.update({
+      status,
+      last_checked: checkedAt
+    });
+  }
+
+  parseMetrics(output) {
+    const [loadavg = '', free = '', df = '', uptime = ''] = output.split('---').map(section => section.trim());
+    const metrics = {};
+
+    const loads = loadavg.split(/\s+/).slice(0, 3).map(parseFloat);
+    if (loads.length === 3 && loads.every(value => !isNaN(value))) {
+      [metrics.load_1, metrics.load_5, metrics.load_15] = loads;
+    }
+
+    // Mem:  total  used  free  shared  buff/cache  available
+    const memLine = free.split('\n').find(line => line.startsWith('Mem:'));
+    if (memLine) {
+      const [total, used] = memLine.split(/\s+/).slice(1, 3).map(Number);
+      metrics.memory_total = total;
+      metrics.memory_used = used;
+    }
+
+    // Filesystem  1-blocks  Used  Available  Capacity  Mounted on
+    metrics.disks = df.split('\n').slice(1)
+      .map(line => line.split(/\s+/))
+      .filter(columns => columns.length >= 6)
+      .map(columns => ({
+        mount: columns.slice(5).join(' '),
+        filesystem: columns[0],
+        size: Number(columns[1]),
+        used: Number(columns[2]),
+        available: Number(columns[3])
+      }));
+
+    const uptimeSeconds = parseFloat(uptime.split(/\s+/)[0]);
+    if (!isNaN(uptimeSeconds)) {
+      metrics.uptime = Math.floor(uptimeSeconds);
+    }
+
+    return metrics;
+  }
+}
+
+module.exports = new ServerMonitor();
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { RefreshToken, User } = require('../models');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const STREAM_TOKEN_TTL = 60;
+
+// A login is a session: short-lived access JWTs carrying its id, plus a refresh
+// token that is replaced on every use. Revoking the session's refresh tokens
+// ends the session, and the access tokens with it.
+class SessionService {
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Start a session and return its first token pair
+  async create(user, req) {
+    await this.prune();
+    return this.issue(user, crypto.randomBytes(16).toString('hex'), req);
+  }
+
+  async issue(user, sessionId, req) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await RefreshToken.create({
+      user_id: user.id,
+      session_id: sessionId,
+      token_hash: this.hash(refreshToken),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      ip_address: req.ip,
+      user_agent: (req.get('user-agent') || '').slice(0, 255) || null
+    });
+
+    const token = jwt.sign(
+      { id: user.id, username: user.username, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+    const { iat, exp } = jwt.decode(token);
+
+    return {
+      token,
+      refresh_token: refreshToken,
+      expires_in: exp - iat
+    };
+  }
+
+  // Exchange a refresh token for a new pair. Presenting one that was already
+  // rotated means a copy leaked, so the whole session is revoked.
+  // Returns { user, tokens }, or null if the token is not usable.
+  async rotate(refreshToken, req) {
+    const stored = await RefreshToken.findOne({
+      where: { token_hash: this.hash(refreshToken) },
+      include: [{ model: User, as: 'user' }]
+    });
+
+    if (!stored || !stored.user) {
+      return null;
+    }
+
+    if (stored.revoked_at) {
+      if (stored.revoked_reason === 'rotated') {
+        console.warn(`⚠️  Refresh token reuse detected for ${stored.user.username} - revoking session`);
+        await this.revokeSession(stored.session_id, 'reuse');
+      }
+      return null;
+    }
+
+    if (stored.expires_at < new Date()) {
+      return null;
+    }
+
+    // Only one of two concurrent refreshes with the same token wins
+    const [rotated] = await RefreshToken.update(
+      { revoked_at: new Date(), revoked_reason: 'rotated' },
+      { where: { id: stored.id, revoked_at: null } }
+    );
+    if (!rotated) {
+      await this.revokeSession(stored.session_id, 'reuse');
+      return null;
+    }
+
+    return {
+      user: stored.user,
+      tokens: await this.issue(stored.user, stored.session_id, req)
+    };
+  }
+
+  async revokeSession(sessionId, reason) {
+    await RefreshToken.update(
+      { revoked_at: new Date(), revoked_reason: reason },
+      { where: { session_id: sessionId, revoked_at: null } }
+    );
+  }
+
+  // End every session of a user, including access tokens already handed out
+  async revokeAll(user, reason) {
+    await RefreshToken.update(
+      { revoked_at: new Date(), revoked_reason: reason },
+      { where: { user_id: user.id, revoked_at: null } }
+    );
+
+    if (reason === 'logout_all') {
+      await user.update({ tokens_revoked_at: new Date() });
+    }
+  }
+
+  async isSessionActive(sessionId) {
+    const count = await RefreshToken.count({
+      where: {
+        session_id: sessionId,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      }
+    });
+    return count > 0;
+  }
+
+  // Access tokens issued before the last password change or "log out all" are dead.
+  // JWT iat has one-second precision.
+  isIssuedBeforeRevocation(user, issuedAt) {
+    const cutoff = Math.max(user.password_changed_at || 0, user.tokens_revoked_at || 0);
+    return issuedAt < Math.floor(cutoff / 1000);
+  }
+
+  // Drop tokens that can no longer be used
+  async prune() {
+    await RefreshToken.destroy({
+      where: { expires_at: { [Op.lt]: new Date() } }
+    });
+  }
+
+  // Short-lived token for one deployment's output stream, passed as ?token=
+  // because EventSource cannot set headers. Like 2FA challenges it carries no
+  // session id, so the auth middleware never accepts it as an access token.
+  createStreamToken(user, deploymentId) {
+    const token = jwt.sign(
+      { id: user.id, typ: 'stream', deployment_id: deploymentId },
+      process.env.JWT_SECRET,
+      { expiresIn: STREAM_TOKEN_TTL }
+    );
+    return { token, expires_in: STREAM_TOKEN_TTL };
+  }
+
+  // Returns the user, or null if the token is invalid, expired, for another
+  // deployment, or issued before the user's sessions were revoked
+  async verifyStreamToken(token, deploymentId) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+    if (decoded.typ !== 'stream' || String(decoded.deployment_id) !== String(deploymentId)) {
+      return null;
+    }
+
+    const user = await User.findByPk(decoded.id);
+    if (!user || user.must_change_password || this.isIssuedBeforeRevocation(user, decoded.iat)) {
+      return null;
+    }
+    return user;
+  }
+}
+
+module.exports = new SessionService();
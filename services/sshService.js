@@ -0,0 +1,112 @@
+const { NodeSSH } = require('node-ssh');
+const crypto = require('crypto');
+
+// OpenSSH-style fingerprint of a raw host key blob: SHA256:<base64 without padding>
+const getFingerprint = (key) => {
+  return 'SHA256:' + crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+};
+
+// The key blob starts with a length-prefixed algorithm name, e.g. "ssh-ed25519"
+const getKeyType = (key) => {
+  try {
+    return key.slice(4, 4 + key.readUInt32BE(0)).toString('ascii');
+  } catch (error) {
+    return null;
+  }
+};
+
+class HostKeyError extends Error {
+  constructor(message, presented) {
+    super(message);
+    this.name = 'HostKeyError';
+    this.status = 409;
+    this.presented = presented;
+  }
+}
+
+class SSHService {
+  // Connect to a server, verifying its host key against the pinned fingerprint.
+  // With options.trustOnFirstUse, a server without a pinned key gets the presented key pinned.
+  async connect(ssh, server, options = {}) {
+    const pinned = server.host_key_fingerprint;
+    let presented = null;
+
+    const config = {
+      ...server.getSSHConfig(),
+      hostVerifier: (key) => {
+        presented = {
+          fingerprint: getFingerprint(key),
+          type: getKeyType(key)
+        };
+        return pinned ? presented.fingerprint === pinned : Boolean(options.trustOnFirstUse);
+      }
+    };
+
+    try {
+      await ssh.connect(config);
+    } catch (error) {
+      if (presented && pinned && presented.fingerprint !== pinned) {
+        throw new HostKeyError(
+          `Host key verification failed for ${server.ip_address}: expected ${pinned} but the server presented ${presented.fingerprint}. ` +
+          'If the server was rebuilt, approve the new key before connecting again.',
+          presented
+        );
+      }
+      if (presented && !pinned && !options.trustOnFirstUse) {
+        throw new HostKeyError(
+          `No host key is pinned for ${server.ip_address}. Run a connection test to pin it first.`,
+          presented
+        );
+      }
+      throw error;
+    }
+
+    // Trust on first use
+    if (!pinned && presented) {
+      await this.pinHostKey(server, presented);
+    }
+
+    return presented;
+  }
+
+  async pinHostKey(server, hostKey) {
+    await server.update({
+      host_key_fingerprint: hostKey.fingerprint,
+      host_key_type: hostKey.type,
+      host_key_pinned_at: new Date()
+    });
+  }
+
+  // Fetch the host key a server presents, aborting before any credentials are sent
+  async fetchHostKey(server) {
+    const ssh = new NodeSSH();
+    let presented = null;
+
+    try {
+      await ssh.connect({
+        host: server.ip_address,
+        port: server.ssh_port,
+        username: server.ssh_username,
+        readyTimeout: 10000,
+        hostVerifier: (key) => {
+          presented = {
+            fingerprint: getFingerprint(key),
+            type: getKeyType(key)
+          };
+          return false;
+        }
+      });
+    } catch (error) {
+      if (!presented) {
+        throw error;
+      }
+    } finally {
+      ssh.dispose();
+    }
+
+    return presented;
+  }
+}
+
+module.exports = new SSHService();
+module.exports.HostKeyError = HostKeyError;
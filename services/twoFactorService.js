@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const totp = require('../utils/totp');
+
+const ISSUER = process.env.TOTP_ISSUER || 'WebDeploy';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+class TwoFactorService {
+  hashRecoveryCode(code) {
+    const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  // Codes look like "1a2b3-c4d5e"; only their hashes are stored
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => this.hashRecoveryCode(code))
+    };
+  }
+
+  // Store a new secret. It is not required at login until activate() confirms it.
+  async enroll(user) {
+    const secret = totp.generateSecret();
+
+    await user.update({
+      totp_secret: secret,
+      totp_enabled: false,
+      totp_last_step: null,
+      totp_recovery_codes: null
+    });
+
+    return {
+      secret,
+      otpauth_uri: totp.buildUri(secret, user.username, ISSUER)
+    };
+  }
+
+  // Confirm enrollment with a code from the app. Returns the recovery codes, or null.
+  async activate(user, code) {
+    const step = user.totp_secret ? totp.verifyCode(user.getTotpSecret(), code) : null;
+    if (step === null) {
+      return null;
+    }
+
+    const recovery = this.generateRecoveryCodes();
+    await user.update({
+      totp_enabled: true,
+      totp_last_step: step,
+      totp_recovery_codes: recovery.hashes
+    });
+
+    return recovery.codes;
+  }
+
+  // Check a TOTP code (each usable once) or consume a recovery code
+  async verify(user, { code, recoveryCode }) {
+    if (!user.totp_enabled) {
+      return false;
+    }
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const remaining = user.totp_recovery_codes || [];
+      if (!remaining.includes(hash)) {
+        return false;
+      }
+
+      await user.update({ totp_recovery_codes: remaining.filter(stored => stored !== hash) });
+      return true;
+    }
+
+    const step = totp.verifyCode(user.getTotpSecret(), code);
+    if (step === null || (user.totp_last_step !== null && step <= user.totp_last_step)) {
+      return false;
+    }
+
+    await user.update({ totp_last_step: step });
+    return true;
+  }
+
+  async regenerateRecoveryCodes(user) {
+    const recovery = this.generateRecoveryCodes();
+    await user.update({ totp_recovery_codes: recovery.hashes });
+    return recovery.codes;
+  }
+
+  async disable(user) {
+    await user.update({
+      totp_secret: null,
+      totp_enabled: false,
+      totp_last_step: null,
+      totp_recovery_codes: null
+    });
+  }
+
+  // Short-lived proof that the password step passed. It carries no session id,
+  // so the auth middleware never accepts it as an access token.
+  createChallenge(user) {
+    return jwt.sign({ id: user.id, typ: '2fa' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+  }
+
+  // Returns the user id, or null if the challenge is invalid or expired
+  verifyChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+      return decoded.typ === '2fa' ? decoded.id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,157 @@
+const { Op } = require('sequelize');
+const { Project, ProjectCheck } = require('../models');
+const PeriodicRunner = require('../utils/periodicRunner');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Nearest-rank percentile of a sorted array
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+class UptimeMonitor {
+  // Interval, thresholds and retention come from UPTIME_MONITOR_INTERVAL (seconds, 0 disables),
+  // UPTIME_DEGRADED_AFTER, UPTIME_DOWN_AFTER and UPTIME_CHECKS_RETENTION_DAYS
+  constructor() {
+    this.runner = new PeriodicRunner({
+      name: 'Uptime monitor',
+      icon: '📈',
+      intervalEnv: 'UPTIME_MONITOR_INTERVAL',
+      retention: { model: ProjectCheck, env: 'UPTIME_CHECKS_RETENTION_DAYS' },
+      task: () => this.checkAll()
+    });
+  }
+
+  start() {
+    this.runner.start();
+  }
+
+  stop() {
+    this.runner.stop();
+  }
+
+  async checkAll() {
+    const projects = await Project.findAll({
+      where: {
+        status: 'active',
+        domain: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] }
+      }
+    });
+
+    await Promise.allSettled(projects.map(project => this.checkProject(project)));
+  }
+
+  getCheckUrl(project) {
+    const base = project.domain.includes('://') ? project.domain : `https://${project.domain}`;
+    const healthPath = project.health_path || '/';
+    return base.replace(/\/+$/, '') + (healthPath.startsWith('/') ? healthPath : `/${healthPath}`);
+  }
+
+  async checkProject(project) {
+    const url = this.getCheckUrl(project);
+    const checkedAt = new Date();
+    const startedAt = Date.now();
+    let statusCode = null;
+    let responseTime = null;
+    let errorMessage = null;
+
+    try {
+      const response = await fetch(url, {
+        redirect: 'follow',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      responseTime = Date.now() - startedAt;
+      statusCode = response.status;
+
+      // Only the status line matters
+      if (response.body) {
+        await response.body.cancel();
+      }
+
+      if (statusCode !== project.expected_status) {
+        errorMessage = `Expected status ${project.expected_status}, got ${statusCode}`;
+      }
+    } catch (error) {
+      errorMessage = error.cause ? error.cause.message : error.message;
+    }
+
+    const success = errorMessage === null;
+
+    await ProjectCheck.create({
+      project_id: project.id,
+      url,
+      success,
+      status_code: statusCode,
+      response_time: responseTime,
+      error_message: errorMessage,
+      checked_at: checkedAt
+    });
+
+    const failures = success ? 0 : project.consecutive_failures + 1;
+    const updates = {
+      consecutive_failures: failures,
+      health_status: this.getHealthStatus(failures)
+    };
+    if (success) {
+      updates.response_time = responseTime;
+    }
+
+    await project.update(updates);
+  }
+
+  getHealthStatus(failures) {
+    const degradedAfter = parseInt(process.env.UPTIME_DEGRADED_AFTER || '2', 10);
+    const downAfter = parseInt(process.env.UPTIME_DOWN_AFTER || '5', 10);
+
+    if (failures >= downAfter) {
+      return 'down';
+    }
+    if (failures >= degradedAfter) {
+      return 'degraded';
+    }
+    return 'up';
+  }
+
+  // Uptime percentage and latency percentiles for a project over a time range
+  async getStats(project, from, to) {
+    const checks = await ProjectCheck.findAll({
+      where: {
+        project_id: project.id,
+        checked_at: { [Op.between]: [from, to] }
+      },
+      attributes: ['success', 'response_time'],
+      raw: true
+    });
+
+    const successful = checks.filter(check => check.success);
+    const latencies = successful
+      .map(check => check.response_time)
+      .filter(value => value !== null)
+      .sort((a, b) => a - b);
+
+    return {
+      from,
+      to,
+      health_status: project.health_status,
+      checks: checks.length,
+      failures: checks.length - successful.length,
+      uptime_percentage: checks.length
+        ? Math.round((successful.length / checks.length) * 10000) / 100
+        : null,
+      latency: {
+        avg: latencies.length
+          ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length)
+          : null,
+        p50: percentile(latencies, 50),
+        p90: percentile(latencies, 90),
+        p95: percentile(latencies, 95),
+        p99: percentile(latencies, 99)
+      }
+    };
+  }
+}
+
+module.exports = new UptimeMonitor();
@@ -0,0 +1,152 @@
+// Virtual host templates for the project's domain, by project type:
+// static files, PHP-FPM, or a reverse proxy to a Node.js/Python port.
+const DEFAULT_PORTS = {
+  nodejs: 3000,
+  python: 8000
+};
+
+const HEADER = '# Managed by WebDeploy - changes are overwritten on every deploy';
+
+class VhostService {
+  // Hostname from Project.domain, which may carry a scheme, port or path.
+  // Returns null if there is nothing safe to put in a config file.
+  getHostname(domain) {
+    if (!domain) {
+      return null;
+    }
+
+    try {
+      const hostname = new URL(domain.includes('://') ? domain : `http://${domain}`).hostname;
+      return /^(\*\.)?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/.test(hostname) ? hostname : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // static, php or proxy. Custom projects are served as static files.
+  getMode(project) {
+    if (project.project_type === 'php') {
+      return 'php';
+    }
+    if (DEFAULT_PORTS[project.project_type]) {
+      return 'proxy';
+    }
+    return 'static';
+  }
+
+  getPort(project) {
+    return project.app_port || DEFAULT_PORTS[project.project_type];
+  }
+
+  // Config file name shared by every layout, e.g. webdeploy-shop.conf
+  getFileName(project) {
+    return `webdeploy-${project.name}.conf`;
+  }
+
+  // options: { hostname, root, phpSocket }
+  renderNginx(project, { hostname, root, phpSocket }) {
+    const mode = this.getMode(project);
+    const lines = [
+      HEADER,
+      'server {',
+      '    listen 80;',
+      '    listen [::]:80;',
+      `    server_name ${hostname};`,
+      ''
+    ];
+
+    if (mode === 'proxy') {
+      lines.push(
+        '    location / {',
+        `        proxy_pass http://127.0.0.1:${this.getPort(project)};`,
+        '        proxy_http_version 1.1;',
+        '        proxy_set_header Host $host;',
+        '        proxy_set_header X-Real-IP $remote_addr;',
+        '        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;',
+        '        proxy_set_header X-Forwarded-Proto $scheme;',
+        '        proxy_set_header Upgrade $http_upgrade;',
+        '        proxy_set_header Connection "upgrade";',
+        '    }'
+      );
+    } else if (mode === 'php') {
+      lines.push(
+        `    root ${root};`,
+        '    index index.php index.html;',
+        '',
+        '    location / {',
+        '        try_files $uri $uri/ /index.php?$query_string;',
+        '    }',
+        '',
+        '    location ~ \\.php$ {',
+        '        try_files $uri =404;',
+        '        include fastcgi_params;',
+        '        fastcgi_param SCRIPT_FILENAME $realpath_root$fastcgi_script_name;',
+        `        fastcgi_pass unix:${phpSocket};`,
+        '    }',
+        '',
+        '    location ~ /\\.(?!well-known) {',
+        '        deny all;',
+        '    }'
+      );
+    } else {
+      lines.push(
+        `    root ${root};`,
+        '    index index.html index.htm;',
+        '',
+        '    location / {',
+        '        try_files $uri $uri/ =404;',
+        '    }',
+        '',
+        '    location ~ /\\.(?!well-known) {',
+        '        deny all;',
+        '    }'
+      );
+    }
+
+    lines.push('}', '');
+    return lines.join('\n');
+  }
+
+  renderApache(project, { hostname, root, phpSocket }) {
+    const mode = this.getMode(project);
+    const lines = [
+      HEADER,
+      '<VirtualHost *:80>',
+      `    ServerName ${hostname}`,
+      ''
+    ];
+
+    if (mode === 'proxy') {
+      const target = `http://127.0.0.1:${this.getPort(project)}/`;
+      lines.push(
+        '    ProxyPreserveHost On',
+        `    ProxyPass / ${target}`,
+        `    ProxyPassReverse / ${target}`
+      );
+    } else {
+      lines.push(
+        `    DocumentRoot ${root}`,
+        `    <Directory ${root}>`,
+        '        Options -Indexes +FollowSymLinks',
+        '        AllowOverride All',
+        '        Require all granted',
+        '    </Directory>'
+      );
+
+      // Without a socket, PHP is left to mod_php
+      if (mode === 'php' && phpSocket) {
+        lines.push(
+          '',
+          '    <FilesMatch \\.php$>',
+          `        SetHandler "proxy:unix:${phpSocket}|fcgi://localhost"`,
+          '    </FilesMatch>'
+        );
+      }
+    }
+
+    lines.push('</VirtualHost>', '');
+    return lines.join('\n');
+  }
+}
+
+module.exports = new VhostService();
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+// Reduce clone/web URLs to host/owner/repo so HTTPS, SSH and web forms compare equal
+const normalizeRepoUrl = (url) => {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  return url.trim()
+    .toLowerCase()
+    .replace(/^[a-z+]+:\/\//, '')
+    .replace(/^[^@/]+@/, '')
+    .replace(/^([^/:]+):(?!\d+\/)/, '$1/')
+    .replace(/^([^/:]+):\d+\//, '$1/')
+    .replace(/\/+$/, '')
+    .replace(/\.git$/, '');
+};
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const hmacHex = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+class WebhookService {
+  // JSON deliveries are the body itself; form deliveries carry it as JSON in a
+  // payload field. Unparseable payloads read as empty and fail later checks.
+  getPayload(req) {
+    const body = req.body || {};
+    if (!req.is('application/x-www-form-urlencoded')) {
+      return body;
+    }
+
+    try {
+      const payload = JSON.parse(body.payload);
+      return payload !== null && typeof payload === 'object' ? payload : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Identify the sending forge and pull out the fields we act on
+  parseDelivery(req) {
+    const headers = req.headers;
+    const payload = this.getPayload(req);
+    const repository = payload.repository || {};
+    const gitlabProject = payload.project || {};
+
+    let provider = 'unknown';
+    let event = null;
+    let deliveryId = null;
+
+    // Gitea also sends X-GitHub-* headers for compatibility - check it first
+    if (headers['x-gitea-event']) {
+      provider = 'gitea';
+      event = headers['x-gitea-event'];
+      deliveryId = headers['x-gitea-delivery'] || null;
+    } else if (headers['x-gitlab-event']) {
+      provider = 'gitlab';
+      event = headers['x-gitlab-event'];
+      deliveryId = headers['x-gitlab-event-uuid'] || null;
+    } else if (headers['x-github-event']) {
+      provider = 'github';
+      event = headers['x-github-event'];
+      deliveryId = headers['x-github-delivery'] || null;
+    }
+
+    return {
+      provider,
+      event,
+      deliveryId,
+      isPush: ['push', 'Push Hook'].includes(event),
+      isPing: event === 'ping',
+      ref: payload.ref || null,
+      branch: typeof payload.ref === 'string' && payload.ref.startsWith('refs/heads/')
+        ? payload.ref.slice('refs/heads/'.length)
+        : null,
+      commit: payload.after || payload.checkout_sha || null,
+      // A push that deletes the branch has nothing to deploy
+      isBranchDeletion: payload.deleted === true || /^0+$/.test(payload.after || ''),
+      defaultBranch: repository.default_branch || gitlabProject.default_branch || null,
+      repoUrls: [
+        repository.clone_url,
+        repository.ssh_url,
+        repository.html_url,
+        repository.git_http_url,
+        repository.git_ssh_url,
+        repository.url,
+        gitlabProject.git_http_url,
+        gitlabProject.git_ssh_url,
+        gitlabProject.web_url
+      ].filter(Boolean)
+    };
+  }
+
+  // GitHub and Gitea sign the raw body with HMAC-SHA256; GitLab echoes the secret as a token
+  verifySignature(provider, req, secret) {
+    const headers = req.headers;
+
+    if (provider === 'gitlab') {
+      return Boolean(headers['x-gitlab-token']) && safeEqual(headers['x-gitlab-token'], secret);
+    }
+
+    if (!req.rawBody) {
+      return false;
+    }
+
+    const expected = hmacHex(secret, req.rawBody);
+
+    if (provider === 'gitea' && headers['x-gitea-signature']) {
+      return safeEqual(headers['x-gitea-signature'], expected);
+    }
+
+    const signature = headers['x-hub-signature-256'];
+    return Boolean(signature) && safeEqual(signature, `sha256=${expected}`);
+  }
+
+  matchesRepository(project, repoUrls) {
+    const sourceUrl = normalizeRepoUrl(project.source_url);
+    return Boolean(sourceUrl) && repoUrls.some(url => normalizeRepoUrl(url) === sourceUrl);
+  }
+
+  // Pushes deploy when they target the project's branch, or the repository's
+  // default branch when the project does not set one
+  isTrackedBranch(project, delivery) {
+    const tracked = project.branch || delivery.defaultBranch;
+    return Boolean(delivery.branch) && delivery.branch === tracked;
+  }
+
+  generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Project } = require('../models');
+const deploymentService = require('../services/deploymentService');
+
+test('isValidRef accepts branch, tag and commit names', () => {
+  for (const ref of ['main', 'feature/login', 'v1.2.3', 'release-2026_01', 'a1b2c3d4e5f6']) {
+    assert.ok(deploymentService.isValidRef(ref), ref);
+  }
+});
+
+test('isValidRef rejects hostile refs', () => {
+  const refs = [
+    'main; rm -rf /',
+    '$(id)',
+    '`id`',
+    "main'",
+    '"main"',
+    '-c core.sshCommand=id',
+    '--upload-pack=id',
+    '../main',
+    'main..dev',
+    'main.lock',
+    'main\n',
+    'my branch',
+    '',
+    undefined
+  ];
+  for (const ref of refs) {
+    assert.ok(!deploymentService.isValidRef(ref), JSON.stringify(ref));
+  }
+});
+
+test('isValidBackupName only accepts this project\'s backups', () => {
+  const project = Project.build({ name: 'api', deploy_path: '/var/www' });
+  const timestamp = '2026-01-01T00-00-00-000Z';
+
+  assert.ok(deploymentService.isValidBackupName(project, `api_${timestamp}.tar.gz`));
+
+  const names = [
+    `api_v2_${timestamp}.tar.gz`,
+    `other_${timestamp}.tar.gz`,
+    `../api_${timestamp}.tar.gz`,
+    `/var/backups/webdeploy/api_${timestamp}.tar.gz`,
+    `api_${timestamp}.tar.gz; rm -rf /`,
+    `api_$(id).tar.gz`,
+    `api_${timestamp}.tar.gz\n`,
+    'api_.tar.gz',
+    '-rf',
+    '/',
+    '',
+    undefined
+  ];
+  for (const name of names) {
+    assert.ok(!deploymentService.isValidBackupName(project, name), JSON.stringify(name));
+  }
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Project } = require('../models');
+
+test('getNameError accepts plain project names', () => {
+  for (const name of ['api', 'my-site', 'shop_v2', 'A1b']) {
+    assert.strictEqual(Project.getNameError(name), null, name);
+  }
+});
+
+test('getNameError rejects hostile names', () => {
+  const names = [
+    'x; rm -rf /',
+    '$(id)',
+    '`id`',
+    "it's",
+    '"quoted"',
+    'a/b',
+    '..',
+    '../etc',
+    '-rf',
+    '--help',
+    '_hidden',
+    'site\n',
+    'my site',
+    'ab',
+    'a'.repeat(101),
+    '',
+    undefined,
+    42
+  ];
+  for (const name of names) {
+    assert.notStrictEqual(Project.getNameError(name), null, JSON.stringify(name));
+  }
+});
+
+test('getDeployPathError accepts absolute paths outside system directories', () => {
+  for (const deployPath of ['/var/www', '/var/www/html', '/srv/sites', '/home/deploy/apps', '/opt/app']) {
+    assert.strictEqual(Project.getDeployPathError(deployPath), null, deployPath);
+  }
+});
+
+test('getDeployPathError rejects hostile and system paths', () => {
+  const paths = [
+    '/',
+    '/etc',
+    '/etc/x',
+    '/etc/nginx/sites-enabled',
+    '/usr/bin/app',
+    '/var/lib/mysql',
+    '/var/backups',
+    '/tmp',
+    '/root',
+    '/var/www/../../etc',
+    '/var/www/..',
+    '/var/www/./html',
+    'var/www',
+    '../www',
+    '-rf',
+    '/var/www; rm -rf /',
+    '/var/www/$(id)',
+    '/var/www/`id`',
+    "/var/www/it's",
+    '/var/www/my site',
+    '/var/www\n',
+    '',
+    undefined
+  ];
+  for (const deployPath of paths) {
+    assert.notStrictEqual(Project.getDeployPathError(deployPath), null, JSON.stringify(deployPath));
+  }
+});
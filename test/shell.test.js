@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const { quote, raw, sh } = require('../utils/shell');
+
+const HOSTILE = [
+  'x; rm -rf /',
+  '$(id)',
+  '`id`',
+  "it's",
+  '"double"',
+  "'; echo pwned; '",
+  'a\nb',
+  'trailing newline\n',
+  '-rf',
+  '*',
+  '$HOME',
+  'back\\slash',
+  ''
+];
+
+// What a POSIX shell makes of a command
+const runShell = (command) => execFileSync('sh', ['-c', command], { encoding: 'utf8' });
+
+test('quote passes hostile values through the shell unchanged', () => {
+  for (const value of HOSTILE) {
+    assert.strictEqual(runShell(`printf %s ${quote(value)}`), value);
+  }
+});
+
+test('sh keeps each interpolated value a single argument', () => {
+  for (const value of HOSTILE) {
+    const output = runShell(String(sh`printf '%s|' ${value} end`));
+    assert.strictEqual(output, `${value}|end|`);
+  }
+});
+
+test('sh expands arrays to one word per element', () => {
+  const output = runShell(String(sh`printf '%s|' ${['a b', '$(id)', 'c']}`));
+  assert.strictEqual(output, 'a b|$(id)|c|');
+});
+
+test('sh leaves numbers and raw fragments unquoted', () => {
+  assert.strictEqual(String(sh`tail -n +${6} ${raw('| xargs')}`), 'tail -n +6 | xargs');
+});
+
+test('sh output nests without being quoted again', () => {
+  const inner = sh`echo ${'x; id'}`;
+  assert.strictEqual(String(sh`${inner} && true`), "echo 'x; id' && true");
+});
+
+test('sh refuses values that are not strings or numbers', () => {
+  assert.throws(() => sh`rm -rf ${undefined}`, TypeError);
+  assert.throws(() => sh`rm -rf ${null}`, TypeError);
+  assert.throws(() => sh`echo ${{}}`, TypeError);
+  assert.throws(() => sh`echo ${NaN}`, TypeError);
+});
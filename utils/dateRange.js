@@ -0,0 +1,13 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ?from=&to= query parameters as dates, defaulting to the last 24 hours.
+// Returns null when either is not a valid date.
+const parseRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DAY_MS);
+  return isNaN(from) || isNaN(to) ? null : { from, to };
+};
+
+module.exports = {
+  parseRange
+};
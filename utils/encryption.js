@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+
+// Derive a 256-bit key from the ENCRYPTION_KEY master secret
+const getKey = (secret = process.env.ENCRYPTION_KEY) => {
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY is not set');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+// Returns "enc:v1:<iv>:<auth tag>:<ciphertext>", all base64
+const encrypt = (plaintext, secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return PREFIX + [iv, tag, ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+const decrypt = (value, secret) => {
+  if (!isEncrypted(value)) {
+    throw new Error('Value is not encrypted');
+  }
+
+  const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(secret), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted
+};
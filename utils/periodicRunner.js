@@ -0,0 +1,67 @@
+const { Op } = require('sequelize');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Background job scaffold shared by the monitors: runs task every
+// <intervalEnv> seconds (0 disables), skips a tick while the previous round is
+// still in progress, then deletes retention.model rows whose checked_at is
+// older than <retention.env> days.
+class PeriodicRunner {
+  constructor({ name, icon, intervalEnv, task, retention = null }) {
+    this.name = name;
+    this.icon = icon;
+    this.intervalEnv = intervalEnv;
+    this.task = task;
+    this.retention = retention;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    const interval = parseInt(process.env[this.intervalEnv] || '60', 10);
+    if (!interval) {
+      console.log(`⏸️  ${this.name} disabled`);
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), interval * 1000);
+    this.timer.unref();
+    console.log(`${this.icon} ${this.name} running every ${interval}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      await this.task();
+      await this.prune();
+    } catch (error) {
+      console.error(`${this.name} error:`, error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async prune() {
+    if (!this.retention) {
+      return;
+    }
+
+    const days = parseInt(process.env[this.retention.env] || '30', 10);
+    const cutoff = new Date(Date.now() - days * DAY_MS);
+
+    await this.retention.model.destroy({
+      where: { checked_at: { [Op.lt]: cutoff } }
+    });
+  }
+}
+
+module.exports = PeriodicRunner;
@@ -0,0 +1,43 @@
+// Remote command construction. Every interpolated value is single-quoted, so
+// spaces, ;, |, $(), backticks and globs in it reach the command as plain text.
+
+// Shell syntax passed through sh`` untouched
+class Raw {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const raw = (value) => new Raw(value);
+
+const quote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+const toArgument = (value) => {
+  if (value instanceof Raw) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toArgument).join(' ');
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+  if (typeof value !== 'string') {
+    throw new TypeError(`Cannot use ${value} as a shell argument`);
+  }
+  return quote(value);
+};
+
+// sh`tar -xzf ${archive} -C ${dir}` quotes each value (an array becomes one
+// word per element). The result is itself raw, so commands can be nested.
+const sh = (strings, ...values) => raw(strings.reduce((command, part, index) => command + toArgument(values[index - 1]) + part));
+
+module.exports = {
+  quote,
+  raw,
+  sh
+};